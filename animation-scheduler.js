@@ -0,0 +1,220 @@
+/**
+ * Animation Scheduler - a single requestAnimationFrame loop for the page
+ * Components register loops here instead of chaining their own rAF calls.
+ * Loops pause while the page is hidden, while their element is off-screen,
+ * or (unless essential) when Battery Status / Save-Data hint at low power.
+ */
+
+// ============================================================================
+// Animation Loop
+// ============================================================================
+class AnimationLoop {
+    constructor(scheduler, callback, { essential = false, onResume = null } = {}) {
+        this.scheduler = scheduler;
+        this.callback = callback;
+        this.element = null;
+        this.essential = essential;
+        this.onResume = onResume;
+        this.isStarted = false;
+        this.isVisible = true;
+        this.isPaused = false; // Paused by the scheduler, not by the owner
+        this.pausedAt = 0;
+        this.lastTime = null;
+    }
+
+    start() {
+        if (this.isStarted) return;
+        this.isStarted = true;
+        this.lastTime = null;
+        this.scheduler.update();
+    }
+
+    stop() {
+        if (!this.isStarted) return;
+        this.isStarted = false;
+        this.scheduler.update();
+    }
+
+    // Pause while this element is off-screen (null to stop watching)
+    observe(element) {
+        this.scheduler.observe(this, element);
+    }
+
+    setEssential(essential) {
+        this.essential = essential;
+        this.scheduler.update();
+    }
+
+    remove() {
+        this.stop();
+        this.scheduler.remove(this);
+    }
+}
+
+// ============================================================================
+// Animation Scheduler
+// ============================================================================
+class AnimationScheduler {
+    constructor() {
+        this.loops = new Set();
+        this.elementLoops = new Map();
+        this.frameId = null;
+        this.pageHidden = document.hidden;
+        this.lowPower = false;
+        this.battery = null;
+        this.tick = this.tick.bind(this);
+
+        this.observer = 'IntersectionObserver' in window
+            ? new IntersectionObserver((entries) => this.handleIntersections(entries))
+            : null;
+
+        document.addEventListener('visibilitychange', () => {
+            this.pageHidden = document.hidden;
+            this.update();
+        });
+
+        this.watchPowerHints();
+    }
+
+    /**
+     * Register a loop. callback(delta, now) runs every frame while the loop
+     * is started and not paused; delta is the ms since its previous frame
+     * and 0 on the first frame after a start or a pause, so time spent
+     * paused never shows up as one long frame.
+     *
+     * Options:
+     *   element   - pause while this element is off-screen
+     *   essential - keep running in low-power mode
+     *   onResume  - called with the paused duration (ms) when a pause ends
+     */
+    add(callback, options = {}) {
+        const loop = new AnimationLoop(this, callback, options);
+        this.loops.add(loop);
+        if (options.element) loop.observe(options.element);
+        return loop;
+    }
+
+    remove(loop) {
+        this.observe(loop, null);
+        this.loops.delete(loop);
+        this.update();
+    }
+
+    observe(loop, element) {
+        // Without IntersectionObserver the element is recorded but never watched
+        const loops = loop.element && this.elementLoops.get(loop.element);
+        if (loops) {
+            loops.delete(loop);
+            if (loops.size === 0) {
+                this.elementLoops.delete(loop.element);
+                if (this.observer) this.observer.unobserve(loop.element);
+            }
+        }
+
+        loop.element = element;
+        loop.isVisible = true;
+
+        // The observer reports the initial state right after observe()
+        if (element && this.observer) {
+            if (!this.elementLoops.has(element)) {
+                this.elementLoops.set(element, new Set());
+                this.observer.observe(element);
+            }
+            this.elementLoops.get(element).add(loop);
+        }
+        this.update();
+    }
+
+    handleIntersections(entries) {
+        entries.forEach(entry => {
+            const loops = this.elementLoops.get(entry.target);
+            if (loops) loops.forEach(loop => { loop.isVisible = entry.isIntersecting; });
+        });
+        this.update();
+    }
+
+    /**
+     * Low power when the battery is discharging below 20% or the browser
+     * asks to save data. Both APIs are Chromium-only; elsewhere this stays off.
+     */
+    watchPowerHints() {
+        const connection = navigator.connection;
+        const evaluate = () => {
+            const battery = this.battery;
+            const lowBattery = !!battery && !battery.charging && battery.level <= 0.2;
+            this.lowPower = lowBattery || !!(connection && connection.saveData);
+            this.update();
+        };
+
+        if (connection && connection.addEventListener) {
+            connection.addEventListener('change', evaluate);
+        }
+        if (navigator.getBattery) {
+            navigator.getBattery().then(battery => {
+                this.battery = battery;
+                battery.addEventListener('chargingchange', evaluate);
+                battery.addEventListener('levelchange', evaluate);
+                evaluate();
+            }).catch(() => {});
+        }
+        evaluate();
+    }
+
+    // Apply pause conditions to every loop and start or stop the rAF chain
+    update() {
+        const now = performance.now();
+
+        this.loops.forEach(loop => {
+            const shouldPause = this.pageHidden || !loop.isVisible || (this.lowPower && !loop.essential);
+            if (shouldPause && !loop.isPaused) {
+                loop.isPaused = true;
+                loop.pausedAt = now;
+            } else if (!shouldPause && loop.isPaused) {
+                loop.isPaused = false;
+                loop.lastTime = null;
+                if (loop.isStarted && loop.onResume) loop.onResume(now - loop.pausedAt);
+            }
+        });
+
+        const hasRunning = this.hasRunningLoops();
+        if (hasRunning && this.frameId === null) {
+            this.frameId = requestAnimationFrame(this.tick);
+        } else if (!hasRunning && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    hasRunningLoops() {
+        for (const loop of this.loops) {
+            if (loop.isStarted && !loop.isPaused) return true;
+        }
+        return false;
+    }
+
+    tick(now) {
+        this.frameId = null;
+
+        this.loops.forEach(loop => {
+            if (!loop.isStarted || loop.isPaused) return;
+            const delta = loop.lastTime === null ? 0 : now - loop.lastTime;
+            loop.lastTime = now;
+            try {
+                loop.callback(delta, now);
+            } catch (e) {
+                console.error('[AnimationScheduler] Loop failed, stopping it:', e);
+                loop.stop();
+            }
+        });
+
+        // Callbacks may have started or stopped loops (and requested a frame)
+        if (this.frameId === null && this.hasRunningLoops()) {
+            this.frameId = requestAnimationFrame(this.tick);
+        }
+    }
+}
+
+const animationScheduler = new AnimationScheduler();
+
+window.AnimationScheduler = AnimationScheduler;
+window.animationScheduler = animationScheduler;
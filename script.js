@@ -12,20 +12,29 @@ const CONFIG = {
         typewriterPause: 3000,
         carouselSpeed: 0.015,
         carouselTransitionDuration: 800,
+        carouselDragSensitivity: 0.25, // Degrees per dragged pixel
+        carouselDragThreshold: 6, // Pixels before a press becomes a drag
+        carouselMomentum: 300, // ms of flick velocity carried past release
+        carouselWheelSnapDelay: 150,
         skillCardStagger: 80,
         decryptIterations: 12,
         decryptInterval: 40
     },
+    projectsUrl: './projects.json',
     selectors: {
         carouselTrack: '.carousel-track',
         carouselCards: '.carousel-card',
         projectItems: '.project-item',
+        projectList: '.project-list',
+        indicators: '.carousel-indicators',
         tabButtons: '.tab-btn',
         tabPanels: '.tab-panel',
         skillCards: '.skill-card',
         mobileMenu: '#mobile-menu',
-        menuToggle: '.menu-toggle'
-    }
+        menuToggle: '.menu-toggle',
+        themeToggle: '.theme-toggle'
+    },
+    themeStorageKey: 'theme'
 };
 
 // ============================================================================
@@ -201,37 +210,201 @@ class Typewriter {
     }
 }
 
+// ============================================================================
+// Component: Project Renderer
+// ============================================================================
+/**
+ * Renders projects.json into the project list, carousel cards and
+ * indicators. Each project is { id, title, cardTitle?, tech, image: { src,
+ * alt }, bgColor, links: [{ label, url }], description }; the three views
+ * share one index per project, which Carousel3D relies on. `projects` is
+ * updated in place so everyone holding it sees runtime changes.
+ */
+class ProjectRenderer {
+    constructor() {
+        this.list = Utils.$(CONFIG.selectors.projectList);
+        this.track = Utils.$(CONFIG.selectors.carouselTrack);
+        this.indicators = Utils.$(CONFIG.selectors.indicators);
+        this.projects = [];
+        this.status = null;
+        this.hasRendered = false;
+    }
+
+    async load() {
+        if (!this.list || !this.track || !this.indicators) return this.projects;
+
+        try {
+            const response = await fetch(CONFIG.projectsUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.setProjects(await response.json());
+        } catch (e) {
+            console.error('[Projects] Failed to load projects.json:', e);
+            this.showStatus('Projects could not be loaded.');
+        }
+        return this.projects;
+    }
+
+    setProjects(projects) {
+        this.projects.splice(0, this.projects.length, ...projects);
+        this.list.replaceChildren(...this.projects.map((project, index) => this.createItem(project, index)));
+        this.track.replaceChildren(...this.projects.map(project => this.createCard(project)));
+        this.indicators.replaceChildren(...this.projects.map((project, index) => this.createIndicator(project, index)));
+        this.updateStatus();
+        this.hasRendered = true;
+    }
+
+    insertProject(project, index) {
+        this.projects.splice(index, 0, project);
+        this.updateStatus();
+        this.list.insertBefore(this.createItem(project, index), this.list.children[index] || null);
+        this.track.insertBefore(this.createCard(project), this.track.children[index] || null);
+        this.indicators.insertBefore(this.createIndicator(project, index), this.indicators.children[index] || null);
+    }
+
+    removeProject(index) {
+        this.projects.splice(index, 1);
+        [this.list, this.track, this.indicators].forEach(container => {
+            if (container.children[index]) container.children[index].remove();
+        });
+        this.updateStatus();
+    }
+
+    // Empty state in the project list; gone again once there are projects
+    updateStatus() {
+        if (this.projects.length === 0) {
+            this.showStatus('No projects to show yet.');
+        } else if (this.status) {
+            this.status.remove();
+            this.status = null;
+        }
+    }
+
+    showStatus(message) {
+        if (!this.status) {
+            this.status = document.createElement('p');
+            this.status.className = 'project-list-status';
+            this.status.setAttribute('role', 'status');
+        }
+        this.status.textContent = message;
+        this.list.appendChild(this.status);
+    }
+
+    createItem(project, index) {
+        const item = document.createElement('button');
+        item.className = 'project-item';
+        item.dataset.project = index;
+        item.tabIndex = index === 0 ? 0 : -1;
+        item.setAttribute('role', 'tab');
+        item.setAttribute('aria-controls', `project-card-${project.id}`);
+        item.setAttribute('aria-selected', index === 0);
+        item.classList.toggle('active', index === 0);
+        item.textContent = project.title;
+        // ScrollAnimations reveals the first render; later items show at once
+        if (this.hasRendered) item.classList.add('animate-in');
+        return item;
+    }
+
+    createCard(project) {
+        const card = document.createElement('article');
+        card.className = 'carousel-card';
+        card.id = `project-card-${project.id}`;
+        card.dataset.projectId = project.id;
+        card.tabIndex = 0;
+        card.setAttribute('role', 'tabpanel');
+        card.setAttribute('aria-label', `${project.title} project`);
+        card.innerHTML = `
+            <div class="card-inner">
+                <img loading="lazy">
+                <div class="card-overlay">
+                    <h3></h3>
+                    <p></p>
+                </div>
+            </div>
+        `;
+
+        Utils.$('.card-inner', card).style.setProperty('--bg-color', project.bgColor);
+        const img = Utils.$('img', card);
+        img.src = project.image.src;
+        img.alt = project.image.alt;
+        img.draggable = false; // Would cancel carousel drags
+        Utils.$('h3', card).textContent = project.cardTitle || project.title;
+        Utils.$('p', card).textContent = project.tech.join(' • ');
+        return card;
+    }
+
+    createIndicator(project, index) {
+        const indicator = document.createElement('button');
+        indicator.className = 'indicator';
+        indicator.setAttribute('role', 'tab');
+        indicator.setAttribute('aria-label', `Go to project ${index + 1}`);
+        indicator.setAttribute('aria-selected', index === 0);
+        indicator.classList.toggle('active', index === 0);
+        return indicator;
+    }
+}
+
 // ============================================================================
 // Component: 3D Carousel
 // ============================================================================
 class Carousel3D {
-    constructor() {
+    constructor(renderer) {
+        this.renderer = renderer;
         this.track = Utils.$(CONFIG.selectors.carouselTrack);
+        this.container = this.track ? this.track.parentElement : null;
         this.cards = Utils.$$(CONFIG.selectors.carouselCards);
         this.projectItems = Utils.$$(CONFIG.selectors.projectItems);
         this.indicators = Utils.$$('.indicator');
         this.prevBtn = Utils.$('.carousel-btn.prev');
         this.nextBtn = Utils.$('.carousel-btn.next');
         
-        if (!this.track || this.cards.length === 0) return;
+        // An empty carousel still initialises so setCards/addCard can fill it
+        if (!this.track) return;
 
         this.currentRotation = 0;
         this.isPaused = false;
         this.isTransitioning = false;
         this.transitionQueue = null;
-        this.lastTime = 0;
+        this.transitionFrame = null;
+        this.drag = null;
+        this.suppressClick = false;
+        this.wheelTimer = null;
+        this.hasFocusWithin = false;
+        this.tabStopItem = null; // The one project item in the tab order
         this.cardCount = this.cards.length;
-        this.anglePerCard = 360 / this.cardCount;
-        this.radius = window.innerWidth <= 768 ? 280 : 420;
+        this.anglePerCard = this.cardCount ? 360 / this.cardCount : 0;
+        this.radius = 420;
 
         this.init();
     }
 
     init() {
+        this.updateRadius();
         this.positionCards();
         this.attachEventListeners();
-        requestAnimationFrame((t) => this.animate(t));
+        // Paused by the scheduler while the carousel is off-screen
+        this.loop = animationScheduler.add((delta) => this.animate(delta), { element: this.track });
+        this.loop.start();
         this.updateActiveProject();
+        this.setTabStop(this.getCurrentIndex());
+    }
+
+    /**
+     * Radius scales with the card size (about 1.3 card widths) but never
+     * pushes the cylinder much past the container, and never packs the
+     * cards so tightly that neighbours overlap.
+     */
+    updateRadius() {
+        if (!this.cardCount) return;
+        const cardWidth = this.cards[0].offsetWidth;
+        const containerWidth = this.container.clientWidth;
+        const noOverlap = this.cardCount > 2 ? cardWidth / (2 * Math.tan(Math.PI / this.cardCount)) * 1.1 : 0;
+        this.radius = Math.round(Math.max(noOverlap, Math.min(cardWidth * 1.3, containerWidth * 0.6)));
+    }
+
+    handleResize() {
+        const previous = this.radius;
+        this.updateRadius();
+        if (this.radius !== previous) this.positionCards();
     }
 
     positionCards() {
@@ -252,30 +425,36 @@ class Carousel3D {
 
         this.track.addEventListener('mouseleave', () => {
             this.isPaused = false;
-            this.lastTime = 0;
         });
 
-        // Click on cards
-        this.cards.forEach((card, index) => {
-            card.addEventListener('click', () => this.rotateTo(index));
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.rotateTo(index);
-                }
-            });
+        // Cards, project items and indicators come and go (see setCards),
+        // so their events are delegated and resolved to the current index
+        this.track.addEventListener('click', (e) => {
+            const card = e.target.closest(CONFIG.selectors.carouselCards);
+            if (card) this.activateCard(this.cards.indexOf(card));
+        });
+        this.track.addEventListener('keydown', (e) => {
+            const card = e.target.closest(CONFIG.selectors.carouselCards);
+            if (card && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.activateCard(this.cards.indexOf(card));
+            }
         });
 
-        // Click on project items
-        this.projectItems.forEach((item, index) => {
-            item.addEventListener('click', () => this.rotateTo(index));
-            item.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
+        const projectList = Utils.$(CONFIG.selectors.projectList);
+        if (projectList) {
+            projectList.addEventListener('click', (e) => {
+                const item = e.target.closest(CONFIG.selectors.projectItems);
+                if (item) this.rotateTo(this.projectItems.indexOf(item));
+            });
+            projectList.addEventListener('keydown', (e) => {
+                const item = e.target.closest(CONFIG.selectors.projectItems);
+                if (item && (e.key === 'Enter' || e.key === ' ')) {
                     e.preventDefault();
-                    this.rotateTo(index);
+                    this.rotateTo(this.projectItems.indexOf(item));
                 }
             });
-        });
+        }
 
         // Control buttons
         if (this.prevBtn) {
@@ -286,22 +465,128 @@ class Carousel3D {
         }
 
         // Indicators
-        this.indicators.forEach((indicator, index) => {
-            indicator.addEventListener('click', () => this.rotateTo(index));
+        const indicatorList = Utils.$(CONFIG.selectors.indicators);
+        if (indicatorList) {
+            indicatorList.addEventListener('click', (e) => {
+                const indicator = e.target.closest('.indicator');
+                if (indicator) this.rotateTo(this.indicators.indexOf(indicator));
+            });
+        }
+
+        // Geometry follows the container and the responsive card size
+        const handleResize = Utils.throttle(() => this.handleResize(), 100);
+        window.addEventListener('resize', handleResize, { passive: true });
+        window.addEventListener('orientationchange', handleResize);
+
+        // Keyboard navigation, only while focus is inside the work section
+        const section = this.track.closest('section') || this.container;
+        section.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Hold auto-rotation while focus is inside, so the selection does
+        // not move away from a keyboard or screen reader user
+        section.addEventListener('focusin', () => {
+            this.hasFocusWithin = true;
+        });
+        section.addEventListener('focusout', (e) => {
+            this.hasFocusWithin = section.contains(e.relatedTarget);
         });
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'ArrowLeft') this.rotatePrev();
-            if (e.key === 'ArrowRight') this.rotateNext();
+        this.attachDragListeners();
+    }
+
+    /**
+     * Drag or swipe to spin the track directly. On release the flick
+     * velocity is carried on for a moment and the carousel snaps to the
+     * nearest card; horizontal trackpad scrolling spins it the same way.
+     */
+    attachDragListeners() {
+        this.container.addEventListener('pointerdown', (e) => {
+            if (!e.isPrimary || e.button !== 0) return;
+            this.drag = {
+                pointerId: e.pointerId,
+                startX: e.clientX,
+                lastX: e.clientX,
+                lastTime: e.timeStamp,
+                velocity: 0, // Degrees per ms
+                isDragging: false
+            };
         });
+
+        this.container.addEventListener('pointermove', (e) => {
+            const drag = this.drag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+
+            if (!drag.isDragging) {
+                if (Math.abs(e.clientX - drag.startX) < CONFIG.animation.carouselDragThreshold) return;
+                drag.isDragging = true;
+                this.container.setPointerCapture(e.pointerId);
+                this.cancelTransition();
+                this.isPaused = true;
+            }
+
+            const delta = (e.clientX - drag.lastX) * CONFIG.animation.carouselDragSensitivity;
+            const elapsed = Math.max(1, e.timeStamp - drag.lastTime);
+            drag.velocity = drag.velocity * 0.2 + (delta / elapsed) * 0.8;
+            drag.lastX = e.clientX;
+            drag.lastTime = e.timeStamp;
+            this.setRotation(this.currentRotation + delta);
+        });
+
+        const release = (e) => {
+            const drag = this.drag;
+            if (!drag || e.pointerId !== drag.pointerId) return;
+            this.drag = null;
+            if (!drag.isDragging) return;
+
+            // A pause before letting go means no flick
+            const velocity = e.timeStamp - drag.lastTime > 100 ? 0 : drag.velocity;
+            this.snapToNearest(velocity * CONFIG.animation.carouselMomentum);
+
+            // The click that ends a drag must not open or rotate to a card
+            this.suppressClick = true;
+            setTimeout(() => { this.suppressClick = false; }, 0);
+        };
+        this.container.addEventListener('pointerup', release);
+        this.container.addEventListener('pointercancel', release);
+
+        this.container.addEventListener('click', (e) => {
+            if (!this.suppressClick) return;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+
+        // Horizontal trackpad scrolling; vertical wheel still scrolls the page
+        this.container.addEventListener('wheel', (e) => {
+            if (Math.abs(e.deltaX) <= Math.abs(e.deltaY)) return;
+            e.preventDefault();
+
+            const pixels = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaX * 16 : e.deltaX;
+            this.cancelTransition();
+            this.isPaused = true;
+            this.setRotation(this.currentRotation - pixels * CONFIG.animation.carouselDragSensitivity);
+
+            clearTimeout(this.wheelTimer);
+            this.wheelTimer = setTimeout(() => this.snapToNearest(0), CONFIG.animation.carouselWheelSnapDelay);
+        }, { passive: false });
     }
 
-    animate(currentTime) {
-        if (!this.lastTime) this.lastTime = currentTime;
-        const deltaTime = currentTime - this.lastTime;
+    setRotation(angle) {
+        this.currentRotation = angle % 360;
+        this.track.style.transform = `rotateY(${this.currentRotation}deg)`;
+        this.applyCurvature();
+        this.updateActiveProject();
+    }
+
+    // smoothTransition takes the short way round, so stay within half a turn
+    snapToNearest(momentum) {
+        const limit = 180 - this.anglePerCard / 2;
+        const projected = this.currentRotation + Math.max(-limit, Math.min(limit, momentum));
+        const steps = Math.round(-projected / this.anglePerCard);
+        this.rotateTo(((steps % this.cardCount) + this.cardCount) % this.cardCount);
+    }
 
-        if (!this.isPaused && !Utils.prefersReducedMotion()) {
+    animate(deltaTime) {
+        if (!this.isPaused && !this.drag && !this.hasFocusWithin && !Utils.prefersReducedMotion()) {
             const rotationSpeed = CONFIG.animation.carouselSpeed;
             this.currentRotation -= rotationSpeed * deltaTime;
             this.currentRotation = this.currentRotation % 360;
@@ -309,9 +594,6 @@ class Carousel3D {
             this.updateActiveProject();
             this.applyCurvature();
         }
-
-        this.lastTime = currentTime;
-        requestAnimationFrame((t) => this.animate(t));
     }
 
     applyCurvature() {
@@ -357,6 +639,53 @@ class Carousel3D {
         this.setActiveIndex(closestIndex);
     }
 
+    /**
+     * Arrows step through the projects, Home/End and 1-9 jump. On the
+     * project list this is the WAI-ARIA tabs pattern: focus moves with the
+     * selection and only the selected item is in the tab order.
+     */
+    handleKeydown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey || !this.cardCount) return;
+
+        const item = event.target.closest(CONFIG.selectors.projectItems);
+        const currentIndex = item ? this.projectItems.indexOf(item) : this.getCurrentIndex();
+        let newIndex;
+
+        switch (event.key) {
+            case 'ArrowLeft':
+                newIndex = (currentIndex - 1 + this.cardCount) % this.cardCount;
+                break;
+            case 'ArrowRight':
+                newIndex = (currentIndex + 1) % this.cardCount;
+                break;
+            // The list is vertical; elsewhere Up/Down keep scrolling the page
+            case 'ArrowUp':
+                if (!item) return;
+                newIndex = (currentIndex - 1 + this.cardCount) % this.cardCount;
+                break;
+            case 'ArrowDown':
+                if (!item) return;
+                newIndex = (currentIndex + 1) % this.cardCount;
+                break;
+            case 'Home':
+                newIndex = 0;
+                break;
+            case 'End':
+                newIndex = this.cardCount - 1;
+                break;
+            default:
+                if (!/^[1-9]$/.test(event.key) || Number(event.key) > this.cardCount) return;
+                newIndex = Number(event.key) - 1;
+        }
+
+        event.preventDefault();
+        if (item && this.projectItems[newIndex]) {
+            this.setTabStop(newIndex);
+            this.projectItems[newIndex].focus();
+        }
+        this.rotateTo(newIndex);
+    }
+
     setActiveIndex(index) {
         this.projectItems.forEach((item, i) => {
             const isActive = i === index;
@@ -371,7 +700,20 @@ class Carousel3D {
         });
     }
 
+    /**
+     * Only navigation moves the item in the tab order, so auto-rotation
+     * never pulls it out from under the visitor
+     */
+    setTabStop(index) {
+        this.tabStopItem = this.projectItems[index] || null;
+        this.projectItems.forEach(item => {
+            item.tabIndex = item === this.tabStopItem ? 0 : -1;
+        });
+    }
+
     rotateTo(index) {
+        if (!(index >= 0 && index < this.cardCount)) return;
+
         // If already transitioning, queue the next target
         if (this.isTransitioning) {
             this.transitionQueue = index;
@@ -382,6 +724,7 @@ class Carousel3D {
         this.isTransitioning = true;
         this.smoothTransition(targetAngle, () => {
             this.setActiveIndex(index);
+            this.setTabStop(index);
             this.isTransitioning = false;
             
             // Process queued transition if any
@@ -393,6 +736,17 @@ class Carousel3D {
         });
     }
 
+    // The front card opens its project, any other card rotates to the front
+    activateCard(index) {
+        if (!this.cards[index]) return;
+        const projectId = this.cards[index].dataset.projectId;
+        if (projectId && index === this.getCurrentIndex() && !this.isTransitioning) {
+            window.location.hash = ProjectDetail.routeFor(projectId);
+            return;
+        }
+        this.rotateTo(index);
+    }
+
     rotatePrev() {
         const currentIndex = this.getCurrentIndex();
         const newIndex = (currentIndex - 1 + this.cardCount) % this.cardCount;
@@ -448,15 +802,243 @@ class Carousel3D {
             this.updateActiveProject();
 
             if (progress < 1) {
-                requestAnimationFrame(transition);
+                this.transitionFrame = requestAnimationFrame(transition);
             } else {
+                this.transitionFrame = null;
                 this.isPaused = false;
-                this.lastTime = 0;
                 if (onComplete) onComplete();
             }
         };
 
-        requestAnimationFrame(transition);
+        this.transitionFrame = requestAnimationFrame(transition);
+    }
+
+    /**
+     * Runtime card changes. Each takes project data in the projects.json
+     * shape and goes through the ProjectRenderer, so the list, cards and
+     * indicators stay in step; the project in front stays in front if it
+     * is still there.
+     */
+    addCard(project, index = this.cardCount) {
+        this.renderer.insertProject(project, Math.max(0, Math.min(index, this.cardCount)));
+        this.refresh();
+    }
+
+    // Accepts an index or a project id
+    removeCard(indexOrId) {
+        const index = typeof indexOrId === 'string'
+            ? this.cards.findIndex(card => card.dataset.projectId === indexOrId)
+            : indexOrId;
+        if (index < 0 || index >= this.cardCount) return;
+        this.renderer.removeProject(index);
+        this.refresh();
+    }
+
+    setCards(projects) {
+        this.renderer.setProjects(projects);
+        this.refresh();
+    }
+
+    refresh() {
+        const frontCard = this.cards[this.getCurrentIndex()];
+        this.cancelTransition();
+        this.isPaused = false;
+
+        this.cards = Utils.$$(CONFIG.selectors.carouselCards, this.track);
+        this.projectItems = Utils.$$(CONFIG.selectors.projectItems);
+        this.indicators = Utils.$$('.indicator');
+        this.cardCount = this.cards.length;
+        if (!this.cardCount) return;
+
+        this.anglePerCard = 360 / this.cardCount;
+        this.projectItems.forEach((item, index) => { item.dataset.project = index; });
+        this.indicators.forEach((indicator, index) => {
+            indicator.setAttribute('aria-label', `Go to project ${index + 1}`);
+        });
+
+        this.updateRadius();
+        this.positionCards();
+        this.setRotation(-Math.max(0, this.cards.indexOf(frontCard)) * this.anglePerCard);
+
+        // New items come in with their own tabIndex; keep the tab stop where it was
+        const tabStop = this.projectItems.indexOf(this.tabStopItem);
+        this.setTabStop(tabStop >= 0 ? tabStop : this.getCurrentIndex());
+    }
+
+    // Drop an in-flight rotateTo, e.g. when the visitor grabs the track
+    cancelTransition() {
+        cancelAnimationFrame(this.transitionFrame);
+        this.transitionFrame = null;
+        this.isTransitioning = false;
+        this.transitionQueue = null;
+    }
+}
+
+// ============================================================================
+// Component: Project Detail
+// ============================================================================
+/**
+ * Detail overlay for one project, routed by #/work/<id> hashes so a project
+ * can be linked to and the back button closes it. The carousel rotates to
+ * the routed project, also when the page is loaded on a route.
+ */
+class ProjectDetail {
+    constructor(projects, carousel) {
+        this.dialog = Utils.$('#project-detail');
+        this.projects = projects;
+        this.carousel = carousel;
+
+        if (!this.dialog) return;
+
+        this.closeBtn = Utils.$('.project-detail-close', this.dialog);
+        this.title = Utils.$('.project-detail-title', this.dialog);
+        this.media = Utils.$('.project-detail-media', this.dialog);
+        this.image = Utils.$('img', this.media);
+        this.tech = Utils.$('.project-detail-tech', this.dialog);
+        this.description = Utils.$('.project-detail-description', this.dialog);
+        this.links = Utils.$('.project-detail-links', this.dialog);
+        this.inertElements = []; // Everything behind the open dialog
+        this.current = null;
+        this.returnFocus = null;
+        // Whether opening added a history entry that closing can go back over
+        this.hasHistoryEntry = false;
+
+        this.init();
+    }
+
+    static routeFor(projectId) {
+        return `#/work/${projectId}`;
+    }
+
+    init() {
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        // Close on click outside the content
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+
+        this.dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+
+        window.addEventListener('hashchange', () => {
+            this.hasHistoryEntry = true;
+            this.route();
+        });
+        this.route();
+    }
+
+    route() {
+        const match = window.location.hash.match(/^#\/work\/([\w-]+)$/);
+        const project = match && this.projects.find(p => p.id === match[1]);
+
+        if (match && !project) {
+            console.warn(`[Projects] Unknown project "${match[1]}"`);
+        }
+        if (project) {
+            this.open(project);
+        } else if (this.isOpen()) {
+            this.hide();
+        }
+    }
+
+    isOpen() {
+        return this.dialog.getAttribute('aria-hidden') === 'false';
+    }
+
+    open(project) {
+        const index = this.projects.indexOf(project);
+        if (this.carousel.cardCount && index !== this.carousel.getCurrentIndex()) {
+            this.carousel.rotateTo(index);
+        }
+
+        this.render(project);
+        if (this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.dialog.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('project-detail-open');
+        // The skip link, navbar and mobile menu sit outside <main> too
+        this.inertElements = Array.from(document.body.children)
+            .filter(element => element !== this.dialog && !element.inert);
+        this.inertElements.forEach(element => { element.inert = true; });
+        if (this.carousel.loop) this.carousel.loop.stop();
+        this.title.focus();
+    }
+
+    render(project) {
+        this.current = project;
+        this.title.textContent = project.title;
+        this.media.style.setProperty('--bg-color', project.bgColor);
+        this.image.src = project.image.src;
+        this.image.alt = project.image.alt;
+        this.description.textContent = project.description;
+
+        this.tech.replaceChildren(...project.tech.map(name => {
+            const item = document.createElement('li');
+            item.textContent = name;
+            return item;
+        }));
+
+        this.links.replaceChildren(...(project.links || []).map(link => {
+            const anchor = document.createElement('a');
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener noreferrer';
+            anchor.textContent = link.label;
+            return anchor;
+        }));
+    }
+
+    // Go back over the route when we pushed it, otherwise drop it in place
+    close() {
+        if (!this.isOpen()) return;
+
+        if (this.hasHistoryEntry) {
+            window.history.back();
+        } else {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+            this.hide();
+        }
+    }
+
+    hide() {
+        const index = this.projects.indexOf(this.current);
+        this.dialog.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('project-detail-open');
+        this.inertElements.forEach(element => { element.inert = false; });
+        this.inertElements = [];
+        if (this.carousel.loop) this.carousel.loop.start();
+
+        // Deep links have no trigger to return to, so land on the card
+        const fallback = this.carousel.cards[index];
+        const target = this.returnFocus && this.returnFocus !== document.body && document.contains(this.returnFocus)
+            ? this.returnFocus
+            : fallback;
+        if (target) target.focus();
+        this.returnFocus = null;
+        this.current = null;
+    }
+
+    // Cycle Tab through the dialog, including the title focused on open,
+    // which is otherwise outside the tab order
+    trapFocus(event) {
+        const focusable = Utils.$$('button, a[href], [tabindex]:not([tabindex="-1"]), .project-detail-title', this.dialog);
+
+        const index = focusable.indexOf(document.activeElement);
+        const step = event.shiftKey ? -1 : 1;
+        const next = index === -1
+            ? focusable[event.shiftKey ? focusable.length - 1 : 0]
+            : focusable[(index + step + focusable.length) % focusable.length];
+
+        event.preventDefault();
+        next.focus();
     }
 }
 
@@ -758,7 +1340,8 @@ class SmoothScroll {
 
     handleClick(event) {
         const href = event.currentTarget.getAttribute('href');
-        if (href === '#') return;
+        // #/... hashes are routes (see ProjectDetail), not anchors
+        if (href === '#' || href.startsWith('#/')) return;
 
         const target = document.querySelector(href);
         if (target) {
@@ -786,22 +1369,76 @@ class NavbarScroll {
     }
 
     init() {
+        // Colors come from the theme in style.css (.navbar.scrolled)
         window.addEventListener('scroll', Utils.throttle(() => {
-            const currentScroll = window.pageYOffset;
-            
-            if (currentScroll > 50) {
-                this.navbar.style.background = 'rgba(0, 0, 0, 0.95)';
-                this.navbar.style.backdropFilter = 'blur(20px)';
-                this.navbar.style.webkitBackdropFilter = 'blur(20px)';
-            } else {
-                this.navbar.style.background = 'linear-gradient(to bottom, rgba(0,0,0,0.9), transparent)';
-                this.navbar.style.backdropFilter = 'blur(10px)';
-                this.navbar.style.webkitBackdropFilter = 'blur(10px)';
-            }
+            this.navbar.classList.toggle('scrolled', window.pageYOffset > 50);
         }, 100));
     }
 }
 
+// ============================================================================
+// Component: Theme Toggle
+// ============================================================================
+class ThemeToggle {
+    constructor() {
+        this.root = document.documentElement;
+        this.button = Utils.$(CONFIG.selectors.themeToggle);
+        this.media = window.matchMedia('(prefers-color-scheme: light)');
+        this.metaThemeColor = Utils.$('meta[name="theme-color"]');
+
+        this.init();
+    }
+
+    init() {
+        // Follow the system setting until the visitor picks a theme.
+        // The shader loader watches data-theme and recolors the intro too.
+        this.apply(this.getStoredTheme() || this.getSystemTheme());
+
+        this.media.addEventListener('change', () => {
+            if (!this.getStoredTheme()) this.apply(this.getSystemTheme());
+        });
+
+        if (this.button) {
+            this.button.addEventListener('click', () => {
+                const theme = this.root.dataset.theme === 'light' ? 'dark' : 'light';
+                this.storeTheme(theme);
+                this.apply(theme);
+            });
+        }
+    }
+
+    getSystemTheme() {
+        return this.media.matches ? 'light' : 'dark';
+    }
+
+    getStoredTheme() {
+        try {
+            const theme = localStorage.getItem(CONFIG.themeStorageKey);
+            return theme === 'light' || theme === 'dark' ? theme : null;
+        } catch (e) {
+            // Storage can throw in private mode or with cookies disabled
+            return null;
+        }
+    }
+
+    storeTheme(theme) {
+        try {
+            localStorage.setItem(CONFIG.themeStorageKey, theme);
+        } catch (e) {
+            // Not persisting just means the system setting applies next visit
+        }
+    }
+
+    apply(theme) {
+        this.root.dataset.theme = theme;
+        if (this.button) this.button.setAttribute('aria-pressed', String(theme === 'light'));
+        if (this.metaThemeColor) {
+            const background = getComputedStyle(this.root).getPropertyValue('--color-bg-primary').trim();
+            if (background) this.metaThemeColor.setAttribute('content', background);
+        }
+    }
+}
+
 // ============================================================================
 // Component: Glow Effect
 // ============================================================================
@@ -817,7 +1454,7 @@ class GlowEffect {
         this.currentX = 0;
         this.currentY = 0;
         this.isHovering = false;
-        this.requestId = null;
+        this.loop = animationScheduler.add(() => this.animate(), { element: this.heroLeft });
 
         this.init();
     }
@@ -825,9 +1462,7 @@ class GlowEffect {
     init() {
         this.heroLeft.addEventListener('mouseenter', () => {
             this.isHovering = true;
-            if (!this.requestId) {
-                this.animate();
-            }
+            this.loop.start();
         });
 
         this.heroLeft.addEventListener('mouseleave', () => {
@@ -847,10 +1482,8 @@ class GlowEffect {
 
         this.glow.style.transform = `translate(${this.currentX}px, ${this.currentY}px)`;
 
-        if (this.isHovering || Math.abs(this.mouseX - this.currentX) > 0.1) {
-            this.requestId = requestAnimationFrame(() => this.animate());
-        } else {
-            this.requestId = null;
+        if (!this.isHovering && Math.abs(this.mouseX - this.currentX) <= 0.1) {
+            this.loop.stop();
         }
     }
 }
@@ -901,17 +1534,21 @@ class ScrollAnimations {
     }
 
     init() {
-        const observer = new IntersectionObserver((entries) => {
+        this.observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     entry.target.classList.add('animate-in');
-                    observer.unobserve(entry.target);
+                    this.observer.unobserve(entry.target);
                 }
             });
         }, this.options);
 
-        document.querySelectorAll('.project-item, .about-heading, .footer-column')
-            .forEach(el => observer.observe(el));
+        this.observe(Utils.$$('.project-item, .about-heading, .footer-column'));
+    }
+
+    // For elements rendered later, e.g. the project list
+    observe(elements) {
+        elements.forEach(el => this.observer.observe(el));
     }
 }
 
@@ -924,23 +1561,30 @@ class ImagePreloader {
     }
 
     init() {
-        // Use requestIdleCallback for non-critical preloading
         const preload = () => {
-            const images = document.querySelectorAll('.carousel-card img');
-            images.forEach(img => {
+            const images = Utils.$$('.carousel-card img');
+            return Promise.all(images.map(img => {
                 const src = img.getAttribute('src');
-                if (src) {
+                if (!src) return null;
+                return new Promise(resolve => {
                     const preloadImg = new Image();
+                    preloadImg.onload = resolve;
+                    preloadImg.onerror = resolve;
                     preloadImg.src = src;
-                }
-            });
+                });
+            }));
         };
 
-        if ('requestIdleCallback' in window) {
-            requestIdleCallback(preload);
-        } else {
-            setTimeout(preload, 1000);
-        }
+        // Use requestIdleCallback for non-critical preloading
+        // Settles once the carousel images are in; initApp holds the
+        // intro loader on it
+        this.loaded = new Promise(resolve => {
+            if ('requestIdleCallback' in window) {
+                requestIdleCallback(() => resolve(preload()), { timeout: 1000 });
+            } else {
+                setTimeout(() => resolve(preload()), 1000);
+            }
+        });
     }
 }
 
@@ -989,11 +1633,30 @@ function injectStyles() {
 // ============================================================================
 function initApp() {
     injectStyles();
+    new ThemeToggle();
+
+    const scrollAnimations = new ScrollAnimations();
+
+    // Components that read the project markup wait until it is rendered;
+    // the intro loader waits for that and for the carousel images
+    const renderer = new ProjectRenderer();
+    const projectsRendered = renderer.load()
+        .then((projects) => {
+            scrollAnimations.observe(Utils.$$(CONFIG.selectors.projectItems));
+            const carousel = new Carousel3D(renderer);
+            new ProjectDetail(projects, carousel);
+            return new ImagePreloader().loaded;
+        })
+        .catch((e) => {
+            console.error('[Projects] Failed to set up the work section:', e);
+        });
+    if (window.shaderLoader) {
+        window.shaderLoader.registerTask(projectsRendered, 'projects and carousel images');
+    }
 
     // Initialize components
     new DecryptTooltip();
     new Typewriter();
-    new Carousel3D();
     new Tabs();
     new SkillCards();
     new SkillsCategoryMobile();
@@ -1002,8 +1665,6 @@ function initApp() {
     new NavbarScroll();
     new GlowEffect();
     new ParallaxEffect();
-    new ScrollAnimations();
-    new ImagePreloader();
     new MarqueeController();
 }
 
@@ -1014,7 +1675,7 @@ if (document.readyState === 'loading') {
     initApp();
 }
 
-// Handle visibility change to pause animations when tab is hidden
+// Pause CSS animations when the tab is hidden (JS loops pause via animationScheduler)
 document.addEventListener('visibilitychange', () => {
     document.body.classList.toggle('tab-inactive', document.hidden);
 });
@@ -1,41 +1,442 @@
 /**
  * GLSL Shader Loading Screen - Exact User Shader Implementation
- * Multi-pass: Common -> Buffer A -> Buffer B -> Image
+ * Multi-pass: Common -> Buffer A -> Buffer B -> Image (see getPassGraph)
  * Deployment trigger: 2026-01-31
  */
 
+// Quality tiers, best first. Each tier is compiled in as #defines
+// overriding the shader defaults (kAntiAlias, kScreenDownsample, kApplyBloom).
+const SHADER_QUALITY = {
+    tiers: [
+        { name: 'high', antiAlias: 5, downsample: 1, bloom: true },
+        { name: 'medium', antiAlias: 3, downsample: 1, bloom: true },
+        { name: 'low', antiAlias: 2, downsample: 2, bloom: true },
+        { name: 'minimal', antiAlias: 1, downsample: 2, bloom: false }
+    ],
+    warmupFrames: 10, // Ignored after start and after every recompile
+    sampleFrames: 30, // Frames averaged per decision
+    stepDownFrameTime: 1000 / 45, // ms
+    stepUpFrameTime: 1000 / 58, // ms
+    maxStepUpRetries: 2 // Stop retrying a tier we keep falling out of
+};
+
+// Tuning constants of the built-in shaders, exposed as uniforms named
+// param_<name> (see getParameterPreamble). The shader sources keep their
+// defaults behind #ifndef so they still compile on their own.
+const SHADER_PARAMETERS = [
+    { name: 'kSpeed', group: 'Ripples', type: 'float', value: 0.15, min: 0, max: 0.5, step: 0.005 },
+    { name: 'kTurns', group: 'Ripples', type: 'int', value: 7, min: 1, max: 12, step: 1 },
+    { name: 'kNumRipples', group: 'Ripples', type: 'int', value: 5, min: 1, max: 10, step: 1 },
+    { name: 'kBloomRadius', group: 'Bloom', type: 'float', value: 0.02, min: 0, max: 0.06, step: 0.001 },
+    { name: 'kVignetteStrength', group: 'Vignette', type: 'float', value: 0.5, min: 0, max: 1, step: 0.01 },
+    { name: 'kVignetteScale', group: 'Vignette', type: 'float', value: 0.6, min: 0.2, max: 1.5, step: 0.01 },
+    { name: 'kVignetteExponent', group: 'Vignette', type: 'float', value: 3, min: 0.5, max: 6, step: 0.1 },
+    { name: 'kStatic', group: 'Interference', type: 'bool', value: true },
+    { name: 'kStaticFrequency', group: 'Interference', type: 'float', value: 0.1, min: 0, max: 1, step: 0.01 },
+    { name: 'kStaticLowMagnitude', group: 'Interference', type: 'float', value: 0.01, min: 0, max: 0.05, step: 0.001 },
+    { name: 'kStaticHighMagnitude', group: 'Interference', type: 'float', value: 0.02, min: 0, max: 0.1, step: 0.001 },
+    { name: 'kVDisplace', group: 'Interference', type: 'bool', value: true },
+    { name: 'kVDisplaceFrequency', group: 'Interference', type: 'float', value: 0.07, min: 0, max: 1, step: 0.01 },
+    { name: 'kHDisplace', group: 'Interference', type: 'bool', value: true },
+    { name: 'kHDisplaceFrequency', group: 'Interference', type: 'float', value: 0.25, min: 0, max: 1, step: 0.01 },
+    { name: 'kHDisplaceVMagnitude', group: 'Interference', type: 'float', value: 0.1, min: 0, max: 0.5, step: 0.01 },
+    { name: 'kHDisplaceHMagnitude', group: 'Interference', type: 'float', value: 0.5, min: 0, max: 1, step: 0.01 }
+];
+
+// Per-frame uniforms every pass gets: Shadertoy-compatible, plus iProgress
+// and the visitor input (see attachInteractionListeners)
+const SHADER_UNIFORMS = [
+    'iResolution', 'iTime', 'iTimeDelta', 'iFrameRate', 'iFrame', 'iChannelTime',
+    'iChannelResolution', 'iMouse', 'iDate', 'iSampleRate', 'iProgress',
+    'iPointer', 'iImpulse', 'iTilt', 'iInteraction', 'iSeed',
+    'iThemeBackground', 'iThemeForeground', 'iThemeTint', 'iThemeAccent', 'iThemeHueShift'
+];
+
+// Built-in pass sources per WebGL version, keyed by pass name or 'common'.
+// These files are the only copy; without them the intro falls back to CSS.
+const BUILTIN_SHADER_SOURCES = {
+    webgl2: {
+        common: 'shaders/common.glsl',
+        bufferA: 'shaders/buffer-a.glsl',
+        bufferB: 'shaders/buffer-b.glsl',
+        image: 'shaders/image.glsl'
+    },
+    webgl1: {
+        common: 'shaders/webgl1/common.glsl',
+        image: 'shaders/webgl1/image.glsl'
+    }
+};
+
+// Outro styles; all but 'fade' run in the built-in Image pass off iTransition
+const TRANSITION_STYLES = ['fade', 'dissolve', 'glitch'];
+
+const TIMELINE_EASINGS = {
+    linear: t => t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    // Decaying wobble that returns to the start value at t = 1
+    glitch: t => Math.sin(t * Math.PI * 4) * t
+};
+
+/**
+ * Keyframe timeline for the intro choreography. Each phase has a duration
+ * and tracks of { target, keyframes: [{ time, value, easing }] } with times
+ * in ms from the phase start; the easing shapes the segment leading into
+ * its keyframe. Every update() hands each track's value to `apply`.
+ *
+ * Scrub from the console while tuning, e.g.
+ *   shaderLoader.timeline.pause();
+ *   shaderLoader.timeline.seek(800);
+ *   shaderLoader.timeline.replay();
+ */
+class IntroTimeline {
+    constructor(phases, apply) {
+        this.phases = phases;
+        this.apply = apply;
+        this.phase = null;
+        this.time = 0;
+        this.isPaused = false;
+        this.hasEnded = false;
+        this.lastNow = null;
+        this.onEnd = null;
+    }
+
+    play(phaseName, onEnd = null) {
+        if (!this.phases[phaseName]) {
+            console.warn(`[IntroTimeline] Unknown phase "${phaseName}"`);
+            return;
+        }
+
+        this.phase = phaseName;
+        this.onEnd = onEnd;
+        this.time = 0;
+        this.isPaused = false;
+        this.hasEnded = false;
+        this.evaluate();
+    }
+
+    replay() {
+        if (this.phase) this.play(this.phase, this.onEnd);
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    seek(time) {
+        if (!this.phase) return;
+        this.time = Math.max(0, Math.min(time, this.phases[this.phase].duration));
+        this.evaluate();
+    }
+
+    // Call when the driving clock changes or stalls so the gap is not played
+    resetClock() {
+        this.lastNow = null;
+    }
+
+    update(now) {
+        const delta = this.lastNow === null ? 0 : now - this.lastNow;
+        this.lastNow = now;
+        if (!this.phase) return;
+
+        if (!this.isPaused) {
+            this.time += delta;
+        }
+        this.evaluate();
+
+        if (!this.isPaused && !this.hasEnded && this.time >= this.phases[this.phase].duration) {
+            this.hasEnded = true;
+            if (this.onEnd) this.onEnd();
+        }
+    }
+
+    evaluate() {
+        const phase = this.phases[this.phase];
+        const time = Math.min(this.time, phase.duration);
+        phase.tracks.forEach(track => {
+            this.apply(track.target, IntroTimeline.valueAt(track.keyframes, time));
+        });
+    }
+
+    getState() {
+        return {
+            phase: this.phase,
+            time: this.time,
+            duration: this.phase ? this.phases[this.phase].duration : 0,
+            isPaused: this.isPaused
+        };
+    }
+
+    static valueAt(keyframes, time) {
+        if (time <= keyframes[0].time) return keyframes[0].value;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const to = keyframes[i];
+            if (time <= to.time) {
+                const from = keyframes[i - 1];
+                const span = to.time - from.time;
+                const t = span > 0 ? (time - from.time) / span : 1;
+                const ease = TIMELINE_EASINGS[to.easing] || TIMELINE_EASINGS.linear;
+                return from.value + (to.value - from.value) * ease(t);
+            }
+        }
+
+        return keyframes[keyframes.length - 1].value;
+    }
+}
+
+/**
+ * Rolling render statistics for the performance HUD and the summary logged
+ * on complete(): rAF frame times in a ring buffer and per-pass times
+ * smoothed across frames.
+ */
+class RenderStats {
+    constructor(size = 240) {
+        this.frameTimes = new Float32Array(size);
+        this.frameIndex = 0;
+        this.frames = 0;
+        this.totalTime = 0;
+        this.lastNow = null;
+        this.passTimes = {};
+    }
+
+    recordFrame(now) {
+        const delta = this.lastNow === null ? 0 : now - this.lastNow;
+        this.lastNow = now;
+        // Skip the first frame and long gaps (tab switches, compile stalls)
+        if (delta <= 0 || delta > 250) return;
+
+        this.frameTimes[this.frameIndex] = delta;
+        this.frameIndex = (this.frameIndex + 1) % this.frameTimes.length;
+        this.frames++;
+        this.totalTime += delta;
+    }
+
+    // Call after pauses so the gap is not counted as a frame
+    resetClock() {
+        this.lastNow = null;
+    }
+
+    recordPass(name, ms) {
+        const previous = this.passTimes[name];
+        this.passTimes[name] = previous === undefined ? ms : previous + (ms - previous) * 0.1;
+    }
+
+    // Recent frame times, oldest first
+    getRecentFrameTimes() {
+        const size = this.frameTimes.length;
+        if (this.frames < size) return Array.from(this.frameTimes.subarray(0, this.frames));
+        return [...this.frameTimes.subarray(this.frameIndex), ...this.frameTimes.subarray(0, this.frameIndex)];
+    }
+
+    getSummary() {
+        const recent = this.getRecentFrameTimes().sort((a, b) => a - b);
+        const percentile = p => (recent.length ? recent[Math.min(recent.length - 1, Math.floor(recent.length * p))] : 0);
+        const round = ms => Math.round(ms * 100) / 100;
+
+        return {
+            frames: this.frames,
+            averageFps: this.totalTime ? round(this.frames / this.totalTime * 1000) : 0,
+            frameTime: {
+                p50: round(percentile(0.5)),
+                p95: round(percentile(0.95)),
+                max: round(recent.length ? recent[recent.length - 1] : 0)
+            },
+            passes: Object.fromEntries(Object.entries(this.passTimes).map(([name, ms]) => [name, round(ms)]))
+        };
+    }
+}
+
 class ShaderLoader {
-    constructor() {
+    constructor(options = {}) {
         this.canvas = null;
         this.gl = null;
+        const imported = options.shadertoy ? ShaderLoader.parseShadertoy(options.shadertoy) : {};
+        this.passes = options.passes || imported.passes || null; // Defaults to getPassGraph()
+        // Source prepended to every pass; the built-in passes load theirs
+        // from BUILTIN_SHADER_SOURCES
+        this.commonSource = options.commonSource ?? imported.commonSource ?? null;
         this.programs = {};
         this.framebuffers = {};
         this.textures = {};
         this.startTime = performance.now();
         this.frameCount = 0;
+        this.time = 0;
+        this.timeDelta = 0;
+        this.frameRate = 60;
+        this.mouse = { x: 0, y: 0, clickX: 0, clickY: 0, isDown: false, clicked: false };
+        // Pointer position/velocity (buffer px, px/s), last click or wheel
+        // impulse (strength decays 1 -> 0) and device tilt (-1..1)
+        this.interaction = {
+            x: 0, y: 0, vx: 0, vy: 0, lastX: null, lastY: null,
+            impulseX: 0, impulseY: 0, impulse: 0,
+            tiltX: 0, tiltY: 0, targetTiltX: 0, targetTiltY: 0
+        };
+        this.interactive = options.interactive ?? true;
+        this.interactionStrength = 0; // iInteraction, 0 with prefers-reduced-motion
+        this.impulseDuration = 1.2; // seconds for a click ripple to fade out
+        this.interactionListeners = [];
         this.isRunning = true;
-        this.transitionStart = 5000; // 5 seconds
+        // Transition once every ready task settles, but never before
+        // minDuration nor later than maxDuration
+        this.minDuration = options.minDuration ?? 5000; // 5 seconds
+        this.maxDuration = options.maxDuration ?? 10000; // 10 seconds
         this.transitionDuration = 1500; // 1.5s fade
+        this.transitionStyle = options.transitionStyle ?? 'fade'; // See TRANSITION_STYLES
+        if (!TRANSITION_STYLES.includes(this.transitionStyle)) {
+            console.warn(`[ShaderLoader] Unknown transition style "${this.transitionStyle}", using "fade"`);
+            this.transitionStyle = 'fade';
+        }
+        this.timelineDriver = null; // Drives the timeline while no frames render
+        this.timelineUniforms = {};
+        this.logoState = { opacity: 0, scale: 1, blur: 0, glitch: 0 };
+        this.transitionTimer = null;
+        this.maxDurationTimer = null;
+        this.minDurationElapsed = false;
+        this.taskCount = 0;
+        this.tasksSettled = 0;
+        this.displayProgress = 0;
+        // Render scale: honor devicePixelRatio up to maxPixelRatio, then
+        // shrink further so the canvas never exceeds maxRenderPixels
+        this.maxPixelRatio = options.maxPixelRatio ?? 2;
+        this.maxRenderPixels = options.maxRenderPixels ?? 1920 * 1080;
+        this.pixelRatio = 1;
+        // Seeded fixed-timestep playback: a frame number always renders the
+        // same image, e.g. ?seed=7&fixedFps=60&frame=120 for snapshot tests
+        const playback = ShaderLoader.getPlaybackOptions();
+        this.seed = options.seed ?? playback.seed ?? 0; // iSeed, 0 is the original look
+        this.fixedTimestep = options.fixedTimestep ?? playback.fixedTimestep ?? null; // seconds per frame
+        this.holdFrame = options.holdFrame ?? playback.holdFrame ?? null; // Stop after rendering this frame
+        this.isHeld = false;
+        // Quality tiers only apply to the built-in shaders, and must not
+        // change under the feet of deterministic playback
+        this.usesBuiltinShaders = !this.passes && this.commonSource === null;
+        this.adaptiveQuality = options.adaptiveQuality ?? (this.usesBuiltinShaders && !this.fixedTimestep);
+        this.qualityTier = options.qualityTier ?? 0; // Index into SHADER_QUALITY.tiers
+        this.qualityStats = {
+            frames: 0,
+            total: 0,
+            lastTime: 0,
+            skipUntil: SHADER_QUALITY.warmupFrames,
+            stepDowns: {}
+        };
+        this.isTransitioning = false;
+        // Returning visitors within this window skip the intro (0 disables)
+        this.skipWindow = options.skipWindow ?? 24 * 60 * 60 * 1000; // 24 hours
+        this.storageKey = 'shaderLoaderSeenAt';
         this.onComplete = null;
         this.hasError = false;
         this.scrollY = 0;
         this.boundPreventScroll = this.preventScroll.bind(this);
         this.logoOffsetY = 0;
+        this.boundHandleKeydown = this.handleKeydown.bind(this);
+        this.boundSkip = this.skip.bind(this);
+        // A click on an interactive intro is a ripple, so only the button and
+        // Escape skip it unless asked for
+        this.clickToSkip = options.clickToSkip ?? !this.interactive;
+        // Dev-only UI (error overlay); on by default locally or with ?debug
+        this.debug = options.debug ?? ShaderLoader.isDebugEnabled();
+        this.forceWebGL1 = options.forceWebGL1 ?? false;
+        this.isWebGL1 = false;
+        this.contextLost = false;
+        this.contextRestoreTimeout = options.contextRestoreTimeout ?? 3000; // ms before giving up
+        this.contextRestoreTimer = null;
+        this.renderLoop = null; // Registered with animationScheduler
+        // Keep rendering behind the hero after the intro instead of tearing down
+        this.ambient = options.ambient ?? false;
+        this.ambientTarget = options.ambientTarget ?? '.hero-left';
+        this.ambientPixelRatio = options.ambientPixelRatio ?? 0.5; // Buffer px per CSS px
+        this.ambientElement = null;
+        this.isAmbient = false;
+        // Offscreen frame capture (see capture()), e.g. ?capture=webm&size=1920x1080
+        this.captureOptions = options.capture ?? ShaderLoader.getCaptureOptions();
+        this.isCapturing = false;
+        this.renderTarget = null; // Offscreen framebuffer the image pass draws to while capturing
+        // Pass sources from .glsl files, keyed by pass name or 'common', e.g.
+        // { bufferA: 'shaders/buffer-a.glsl' }; the built-in passes default to
+        // BUILTIN_SHADER_SOURCES. With liveReload (?reload) they are polled
+        // and only changed programs are recompiled, keeping framebuffers and
+        // time. Files that fail to load keep the previous source.
+        this.sourceUrls = options.sources ?? null;
+        this.sourceTexts = {};
+        this.liveReload = options.liveReload ?? new URLSearchParams(window.location.search).has('reload');
+        this.liveReloadInterval = options.liveReloadInterval ?? 1000; // ms between polls
+        this.liveReloadTimer = null;
+        // SHADER_PARAMETERS values, tweakable from the dev panel (Alt+Shift+T or ?debug)
+        this.parameters = Object.fromEntries(SHADER_PARAMETERS.map(param => [param.name, param.value]));
+        if (options.parameters) this.importParameters(options.parameters);
+        this.tweakPanel = null;
+        this.showTweakPanel = options.tweakPanel ?? new URLSearchParams(window.location.search).has('debug');
+        // Shader colors from the --shader-* custom properties (see readThemePalette)
+        this.palette = null;
+        this.themeObserver = null;
+        // Performance HUD (opt in, ?hud); frame stats are always collected
+        this.hud = options.hud ?? new URLSearchParams(window.location.search).has('hud');
+        this.hudElement = null;
+        this.hudUpdatedAt = 0;
+        this.stats = new RenderStats();
+        this.timerExt = null;
+        this.pendingQueries = [];
+        this.activeQuery = null;
+        this.passStart = 0;
 
         console.log('[ShaderLoader] Initializing...');
     }
 
     async init() {
+        if (!this.captureOptions && !this.isIntroHeld() && this.hasSeenIntroRecently()) {
+            console.log('[ShaderLoader] Intro seen recently, bypassing');
+            this.complete();
+            return;
+        }
+
+        this.trackPageReadiness();
+
         try {
             this.createCanvas();
 
             if (!this.setupWebGL()) {
-                console.warn('[ShaderLoader] WebGL2 not available, using fallback');
+                console.warn('[ShaderLoader] WebGL not available, using fallback');
                 this.fallbackToCSS();
                 return;
             }
 
-            console.log('[ShaderLoader] WebGL2 context created');
+            console.log(`[ShaderLoader] ${this.isWebGL1 ? 'WebGL1' : 'WebGL2'} context created`);
+
+            this.attachContextListeners();
+
+            if (!this.passes) {
+                this.passes = this.isWebGL1 ? this.getWebGL1PassGraph() : this.getPassGraph();
+            }
+            if (!this.sourceUrls) {
+                this.sourceUrls = this.usesBuiltinShaders ? BUILTIN_SHADER_SOURCES[this.isWebGL1 ? 'webgl1' : 'webgl2'] : {};
+            }
+
+            // Start the transition timer now so maxDuration still holds when
+            // a fetch stalls, or hold the intro until a requested capture is
+            // done, or until skipped (see isIntroHeld)
+            if (!this.captureOptions && !this.isIntroHeld()) {
+                this.scheduleTransition();
+            }
+
+            await this.loadShaderSources();
+
+            // Skipped or timed out while fetching; complete() has torn down
+            // (or is about to), so set nothing else up
+            if (!this.isRunning || this.isTransitioning) return;
+
+            const missing = this.passes.filter(pass => !pass.source).map(pass => pass.name);
+            if (this.usesBuiltinShaders && this.commonSource === null) missing.unshift('common');
+            if (missing.length) {
+                console.error('[ShaderLoader] Missing shader sources:', missing.join(', '));
+                this.fallbackToCSS();
+                return;
+            }
 
             this.createFramebuffers();
 
@@ -48,6 +449,9 @@ class ShaderLoader {
             console.log('[ShaderLoader] Shaders compiled successfully');
 
             this.createGeometry();
+            this.attachMouseListeners();
+            this.attachInteractionListeners();
+            this.watchTheme();
 
             // Show the canvas
             this.canvas.style.opacity = '1';
@@ -55,10 +459,22 @@ class ShaderLoader {
             // Start render loop
             this.startRenderLoop();
 
-            // Start transition timer
-            setTimeout(() => {
-                this.startTransition();
-            }, this.transitionStart);
+            if (this.liveReload) {
+                this.startLiveReload();
+            }
+            if (this.showTweakPanel) {
+                this.toggleTweakPanel(true);
+            }
+            if (this.hud) {
+                this.setupPassTiming();
+                this.createHUD();
+            }
+
+            if (this.captureOptions) {
+                this.capture(this.captureOptions).catch(e => {
+                    console.error('[ShaderLoader] Capture failed:', e);
+                });
+            }
 
         } catch (e) {
             console.error('[ShaderLoader] Initialization error:', e);
@@ -77,11 +493,11 @@ class ShaderLoader {
         this.canvas = document.createElement('canvas');
         this.canvas.id = 'shader-loader';
 
-        // Set canvas size to match window size (CSS handles display scaling)
-        // Using 1:1 pixel ratio for all devices to avoid rendering issues
-        // Round to integers to prevent fractional pixel issues on mobile
-        this.canvas.width = Math.floor(window.innerWidth);
-        this.canvas.height = Math.floor(window.innerHeight);
+        // Size the drawing buffer per the render-scale policy (CSS handles display scaling)
+        const size = this.getRenderSize();
+        this.canvas.width = size.width;
+        this.canvas.height = size.height;
+        this.pixelRatio = size.pixelRatio;
 
         this.canvas.style.cssText = `
             position: fixed;
@@ -90,7 +506,7 @@ class ShaderLoader {
             width: 100vw;
             height: 100vh;
             z-index: 99999;
-            background: #000;
+            background: var(--shader-background);
             opacity: 0;
             transition: opacity 0.3s ease;
         `;
@@ -106,7 +522,7 @@ class ShaderLoader {
             window.visualViewport.addEventListener('resize', this.handleResize, { passive: true });
         }
 
-        console.log('[ShaderLoader] Canvas created:', this.canvas.width, 'x', this.canvas.height);
+        console.log('[ShaderLoader] Canvas created:', this.canvas.width, 'x', this.canvas.height, `@${this.pixelRatio.toFixed(2)}x`);
 
         // Create logo overlay
         this.logoOverlay = document.createElement('div');
@@ -115,9 +531,9 @@ class ShaderLoader {
             <svg viewBox="0 0 180 60" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
                 <!-- Centered H shape with Z inside -->
                 <g transform="translate(20, 0)">
-                    <path d="M8 8V52M8 30H32M32 8V52" stroke="white" stroke-width="4" stroke-linecap="round"/>
-                    <path d="M12 14L28 30L12 46" stroke="white" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
-                    <text x="95" y="38" fill="white" font-family="Inter, sans-serif" font-size="28" font-weight="800" text-anchor="middle">HZ</text>
+                    <path d="M8 8V52M8 30H32M32 8V52" stroke="currentColor" stroke-width="4" stroke-linecap="round"/>
+                    <path d="M12 14L28 30L12 46" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"/>
+                    <text x="95" y="38" fill="currentColor" font-family="Inter, sans-serif" font-size="28" font-weight="800" text-anchor="middle">HZ</text>
                 </g>
             </svg>
         `;
@@ -134,7 +550,6 @@ class ShaderLoader {
             height: ${logoHeight}px;
             z-index: 100000;
             opacity: 0;
-            transition: all 0.6s cubic-bezier(0.4, 0, 0.2, 1);
             pointer-events: none;
         `;
         document.body.appendChild(this.logoOverlay);
@@ -142,14 +557,239 @@ class ShaderLoader {
         // Center logo reliably on mobile (iOS/Safari safe-area/viewport)
         this.updateLogoPosition();
 
-        // Show logo after brief delay
-        setTimeout(() => {
-            this.logoOverlay.style.opacity = '1';
-        }, 500);
+        // Logo fade-in and the outro are choreographed by the timeline
+        this.timeline = new IntroTimeline(this.getTimelinePhases(), (target, value) => {
+            this.applyTimelineValue(target, value);
+        });
+        this.timeline.play('intro');
+        this.startTimelineDriver();
+
+        this.createSkipButton();
+    }
+
+    createSkipButton() {
+        this.skipButton = document.createElement('button');
+        this.skipButton.id = 'shader-skip';
+        this.skipButton.type = 'button';
+        this.skipButton.textContent = 'Skip intro';
+        this.skipButton.setAttribute('aria-label', 'Skip intro animation (Escape)');
+        this.skipButton.addEventListener('click', this.boundSkip);
+        document.body.appendChild(this.skipButton);
+
+        // Escape also skips, and so does a click on the effect when it is
+        // not interactive (see clickToSkip)
+        document.addEventListener('keydown', this.boundHandleKeydown);
+        if (this.clickToSkip) {
+            this.canvas.addEventListener('click', this.boundSkip);
+        }
+    }
+
+    /**
+     * Track the pointer with Shadertoy's iMouse semantics: xy follows the
+     * pointer while pressed, zw is the press position, negated once released
+     * (z) or after the press frame (w). Coordinates are drawing-buffer pixels
+     * with the origin at the bottom left.
+     */
+    toBufferCoords(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (rect.bottom - event.clientY) * this.canvas.height / rect.height
+        };
+    }
+
+    attachMouseListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const { x, y } = this.toBufferCoords(e);
+            Object.assign(this.mouse, { x, y, clickX: x, clickY: y, isDown: true, clicked: true });
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.mouse.isDown) return;
+            Object.assign(this.mouse, this.toBufferCoords(e));
+        });
+        const release = () => {
+            this.mouse.isDown = false;
+        };
+        this.canvas.addEventListener('pointerup', release);
+        this.canvas.addEventListener('pointercancel', release);
+    }
+
+    /**
+     * Feed the visitor's pointer, touch, wheel and device tilt into the
+     * shader (iPointer, iImpulse, iTilt). Listeners sit on window because the
+     * logo and skip button cover parts of the canvas. With
+     * prefers-reduced-motion nothing is attached and iInteraction stays 0.
+     */
+    attachInteractionListeners() {
+        const input = this.interaction;
+        input.x = this.canvas.width / 2;
+        input.y = this.canvas.height / 2;
+
+        if (!this.interactive || this.fixedTimestep) return;
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+        this.interactionStrength = 1;
+
+        const listen = (target, type, handler) => {
+            target.addEventListener(type, handler, { passive: true });
+            this.interactionListeners.push({ target, type, handler });
+        };
+
+        listen(window, 'pointermove', (e) => {
+            Object.assign(input, this.toBufferCoords(e));
+        });
+        listen(window, 'pointerdown', (e) => {
+            const { x, y } = this.toBufferCoords(e);
+            Object.assign(input, { x, y, impulseX: x, impulseY: y, impulse: 1 });
+        });
+        // Scrolling is locked during the intro, so the wheel pulses a ripple instead
+        listen(window, 'wheel', (e) => {
+            const strength = Math.min(1, Math.abs(e.deltaY) / 200);
+            if (strength <= input.impulse) return;
+            Object.assign(input, { impulseX: input.x, impulseY: input.y, impulse: strength });
+        });
+        // Angles relative to a phone held upright at ~45 degrees. iOS only
+        // delivers these after a permission prompt, which the intro never
+        // asks for, so there tilt simply stays at rest.
+        listen(window, 'deviceorientation', (e) => {
+            if (e.gamma === null || e.beta === null) return;
+            const clamp = v => Math.max(-1, Math.min(1, v));
+            input.targetTiltX = clamp(e.gamma / 45);
+            input.targetTiltY = clamp((e.beta - 45) / 45);
+        });
+    }
+
+    detachInteractionListeners() {
+        this.interactionListeners.forEach(({ target, type, handler }) => {
+            target.removeEventListener(type, handler);
+        });
+        this.interactionListeners = [];
+    }
+
+    /**
+     * Per-frame smoothing of the visitor input: velocity from the pointer's
+     * movement since last frame, impulse decay and eased tilt.
+     */
+    updateInteraction(dt) {
+        const input = this.interaction;
+        if (input.lastX !== null && dt > 0) {
+            const blend = Math.min(1, dt * 12);
+            input.vx += ((input.x - input.lastX) / dt - input.vx) * blend;
+            input.vy += ((input.y - input.lastY) / dt - input.vy) * blend;
+        }
+        input.lastX = input.x;
+        input.lastY = input.y;
+
+        input.impulse = Math.max(0, input.impulse - dt / this.impulseDuration);
+
+        const tiltBlend = Math.min(1, dt * 4);
+        input.tiltX += (input.targetTiltX - input.tiltX) * tiltBlend;
+        input.tiltY += (input.targetTiltY - input.tiltY) * tiltBlend;
+    }
+
+    handleKeydown(event) {
+        if (event.altKey && event.shiftKey && event.code === 'KeyT') {
+            event.preventDefault();
+            this.toggleTweakPanel();
+        } else if (event.key === 'Escape' && !(this.tweakPanel && this.tweakPanel.contains(event.target))) {
+            this.skip();
+        }
+    }
+
+    skip() {
+        if (this.isTransitioning) return;
+        console.log('[ShaderLoader] Skipped by user');
+        this.startTransition();
+    }
+
+    hasSeenIntroRecently() {
+        if (!this.skipWindow) return false;
+        try {
+            const seenAt = parseInt(localStorage.getItem(this.storageKey), 10);
+            return Number.isFinite(seenAt) && Date.now() - seenAt < this.skipWindow;
+        } catch (e) {
+            // Storage can throw in private mode or with cookies disabled
+            return false;
+        }
+    }
+
+    markIntroSeen() {
+        try {
+            localStorage.setItem(this.storageKey, String(Date.now()));
+        } catch (e) {
+            // Not persisting just means the intro plays again next visit
+        }
+    }
+
+    trackPageReadiness() {
+        if (document.fonts) {
+            this.registerTask(document.fonts.ready, 'fonts');
+        }
+        if (document.readyState !== 'complete') {
+            this.registerTask(new Promise(resolve => {
+                window.addEventListener('load', resolve, { once: true });
+            }), 'window load');
+        }
+    }
+
+    /**
+     * Hold the intro until `task` (a promise, or a function returning one)
+     * settles. Rejections count as settled so one bad asset can't stall the
+     * page; maxDuration still caps the wait.
+     */
+    registerTask(task, label = 'task') {
+        const promise = Promise.resolve(typeof task === 'function' ? task() : task);
+        if (!this.isRunning || this.isTransitioning) return promise;
+
+        this.taskCount++;
+        promise
+            .catch(e => console.warn(`[ShaderLoader] Ready task "${label}" failed:`, e))
+            .finally(() => {
+                this.tasksSettled++;
+                console.log(`[ShaderLoader] Ready: ${label} (${this.tasksSettled}/${this.taskCount})`);
+                this.checkReady();
+            });
+        return promise;
+    }
+
+    getLoadProgress() {
+        return this.taskCount ? this.tasksSettled / this.taskCount : 1;
+    }
 
+    checkReady() {
+        if (this.minDurationElapsed && this.tasksSettled >= this.taskCount && !this.isIntroHeld()) {
+            this.startTransition();
+        }
+    }
 
+    /**
+     * Drawing-buffer size for the current viewport. Everything downstream
+     * (framebuffers, pass viewports, iResolution) derives from the canvas
+     * size this returns.
+     */
+    getRenderSize() {
+        let cssWidth = window.innerWidth;
+        let cssHeight = window.innerHeight;
+        let pixelRatio = Math.min(window.devicePixelRatio || 1, this.maxPixelRatio);
+
+        // The ambient background renders at a fixed low ratio of its element
+        if (this.isAmbient) {
+            const rect = this.ambientElement.getBoundingClientRect();
+            cssWidth = rect.width;
+            cssHeight = rect.height;
+            pixelRatio = Math.min(pixelRatio, this.ambientPixelRatio);
+        }
 
+        const pixels = cssWidth * cssHeight * pixelRatio * pixelRatio;
+        if (pixels > this.maxRenderPixels) {
+            pixelRatio *= Math.sqrt(this.maxRenderPixels / pixels);
+        }
 
+        // Round to integers to prevent fractional pixel issues on mobile
+        return {
+            width: Math.max(1, Math.floor(cssWidth * pixelRatio)),
+            height: Math.max(1, Math.floor(cssHeight * pixelRatio)),
+            pixelRatio
+        };
     }
 
     updateLogoPosition() {
@@ -163,7 +803,93 @@ class ShaderLoader {
         this.logoOffsetY = isMobile ? Math.round(height * 0) : 0;
         this.logoOverlay.style.top = `${offsetTop + height / 2}px`;
         this.logoOverlay.style.left = `${offsetLeft + width / 2}px`;
-        this.logoOverlay.style.transform = `translate(-50%, calc(-50% + ${this.logoOffsetY}px))`;
+        this.updateLogoStyle();
+    }
+
+    updateLogoStyle() {
+        const { opacity, scale, blur, glitch } = this.logoState;
+        this.logoOverlay.style.opacity = opacity;
+        this.logoOverlay.style.transform = `translate(calc(-50% + ${glitch}px), calc(-50% + ${this.logoOffsetY}px)) scale(${scale})`;
+        this.logoOverlay.style.filter = blur ? `blur(${blur}px)` : '';
+    }
+
+    /**
+     * Intro choreography, see IntroTimeline. Track targets are
+     * canvas.opacity, logo.{opacity,scale,blur,glitch} and uniform.<name>,
+     * which becomes a float uniform in every pass.
+     */
+    getTimelinePhases() {
+        const d = this.transitionDuration;
+        // In-shader outros dissolve the image first and only drop the
+        // canvas at the end, to hide any mismatch with the page background
+        const canvasFade = this.usesShaderTransition()
+            ? [{ time: d * 0.85, value: 1 }, { time: d, value: 0 }]
+            : [{ time: 0, value: 1 }, { time: d * 0.6, value: 0 }];
+        const shaderEnd = this.usesShaderTransition() ? d * 0.85 : d;
+        return {
+            intro: {
+                duration: 1100,
+                tracks: [
+                    {
+                        target: 'logo.opacity',
+                        keyframes: [{ time: 500, value: 0 }, { time: 1100, value: 1, easing: 'easeInOutCubic' }]
+                    }
+                ]
+            },
+            outro: {
+                duration: d,
+                tracks: [
+                    // Background fades first (0-60%)
+                    { target: 'canvas.opacity', keyframes: canvasFade },
+                    // Logo fades after (40-100%) with a glitch wobble
+                    { target: 'logo.opacity', keyframes: [{ time: d * 0.4, value: 1 }, { time: d, value: 0 }] },
+                    { target: 'logo.scale', keyframes: [{ time: d * 0.4, value: 1 }, { time: d, value: 1.2 }] },
+                    { target: 'logo.blur', keyframes: [{ time: d * 0.4, value: 0 }, { time: d, value: 5 }] },
+                    { target: 'logo.glitch', keyframes: [{ time: d * 0.4, value: 0 }, { time: d, value: 10, easing: 'glitch' }] },
+                    { target: 'uniform.iTransition', keyframes: [{ time: 0, value: 0 }, { time: shaderEnd, value: 1 }] }
+                ]
+            }
+        };
+    }
+
+    // The dissolve and glitch need the built-in Image pass and a live context
+    usesShaderTransition() {
+        return this.transitionStyle !== 'fade' && this.usesBuiltinShaders && !this.hasError;
+    }
+
+    /**
+     * The render loop advances the timeline on its own frame clock so
+     * transition steps land on rendered frames. Whenever it is not
+     * running during the intro (CSS fallback, lost context, held frame,
+     * capture) this scheduler loop takes over.
+     */
+    startTimelineDriver() {
+        if (!this.timeline) return;
+        if (!this.timelineDriver) {
+            this.timelineDriver = animationScheduler.add((delta, now) => this.timeline.update(now), {
+                essential: true,
+                onResume: () => this.timeline.resetClock()
+            });
+        }
+        this.timeline.resetClock();
+        this.timelineDriver.start();
+    }
+
+    stopTimelineDriver() {
+        if (this.timelineDriver) this.timelineDriver.stop();
+    }
+
+    applyTimelineValue(target, value) {
+        const [group, property] = target.split('.');
+
+        if (group === 'uniform') {
+            this.timelineUniforms[property] = value;
+        } else if (group === 'canvas' && this.canvas) {
+            this.canvas.style[property] = value;
+        } else if (group === 'logo' && this.logoOverlay) {
+            this.logoState[property] = value;
+            this.updateLogoStyle();
+        }
     }
 
     preventScroll(event) {
@@ -206,24 +932,24 @@ class ShaderLoader {
     }
 
     handleResize() {
-        if (!this.canvas || this.isTransitioning) return;
+        if (!this.canvas || (this.isTransitioning && !this.isAmbient)) return;
 
-        const newWidth = Math.floor(window.innerWidth);
-        const newHeight = Math.floor(window.innerHeight);
+        const size = this.getRenderSize();
+        this.pixelRatio = size.pixelRatio;
 
         // Only update if size actually changed
-        if (this.canvas.width === newWidth && this.canvas.height === newHeight) {
+        if (this.canvas.width === size.width && this.canvas.height === size.height) {
             return;
         }
 
-        // Set canvas size to match window size immediately (no debounce)
-        this.canvas.width = newWidth;
-        this.canvas.height = newHeight;
+        // Set canvas size immediately (no debounce)
+        this.canvas.width = size.width;
+        this.canvas.height = size.height;
 
         this.updateLogoPosition();
 
         // Recreate framebuffers with new size
-        if (this.gl) {
+        if (this.gl && !this.contextLost) {
             this.createFramebuffers();
         }
 
@@ -231,27 +957,48 @@ class ShaderLoader {
     }
 
     setupWebGL() {
-        console.log('[ShaderLoader] Setting up WebGL2...');
+        console.log('[ShaderLoader] Setting up WebGL...');
 
-        // MUST use WebGL 2 for this shader (needs uint, bitwise ops, texelFetch)
-        this.gl = this.canvas.getContext('webgl2', {
+        const contextOptions = {
             alpha: false,
             antialias: false,
             preserveDrawingBuffer: false,
             powerPreference: 'high-performance'
-        });
+        };
+
+        // The full shader needs WebGL 2 (uint, bitwise ops, texelFetch);
+        // WebGL 1 gets the simplified GLSL ES 1.00 graph instead
+        if (!this.forceWebGL1) {
+            this.gl = this.canvas.getContext('webgl2', contextOptions);
+        }
 
         if (!this.gl) {
-            console.error('[ShaderLoader] WebGL2 not supported');
+            console.warn('[ShaderLoader] WebGL2 not supported, trying WebGL1');
+            this.gl = this.canvas.getContext('webgl', contextOptions) ||
+                this.canvas.getContext('experimental-webgl', contextOptions);
+            this.isWebGL1 = !!this.gl;
+        }
+
+        if (!this.gl) {
+            console.error('[ShaderLoader] WebGL not supported');
             return false;
         }
 
         const gl = this.gl;
-        console.log('[ShaderLoader] WebGL2 version:', gl.getParameter(gl.VERSION));
+        console.log('[ShaderLoader] WebGL version:', gl.getParameter(gl.VERSION));
         console.log('[ShaderLoader] Renderer:', gl.getParameter(gl.RENDERER));
 
+        if (this.isWebGL1) {
+            // Float render targets are WebGL2-only here, and WebGL1 hardware
+            // is old enough to start below the top quality tier
+            this.supportsFloatBuffers = false;
+            this.qualityTier = Math.max(this.qualityTier, 1);
+            return true;
+        }
+
         // Check for required extensions
         const ext = gl.getExtension('EXT_color_buffer_float');
+        this.supportsFloatBuffers = !!ext;
         if (!ext) {
             console.warn('[ShaderLoader] EXT_color_buffer_float not supported');
         }
@@ -259,849 +1006,518 @@ class ShaderLoader {
         return true;
     }
 
-    // Shader source getters with exact user code
-    getCommonShader() {
-        return `#define kScreenDownsample 1
+    attachContextListeners() {
+        this.canvas.addEventListener('webglcontextlost', (event) => {
+            // preventDefault tells the browser we will handle a restore
+            event.preventDefault();
+            console.warn('[ShaderLoader] WebGL context lost');
+            this.contextLost = true;
+            this.stopRenderLoop();
 
-vec2 gResolution;
-vec2 gFragCoord;
-float gTime;
-uvec4 rngSeed;
-float gDxyDuv;
+            this.contextRestoreTimer = setTimeout(() => {
+                console.warn('[ShaderLoader] WebGL context not restored, using fallback');
+                this.fallbackToCSS();
+            }, this.contextRestoreTimeout);
+        });
 
-void SetGlobals(vec2 fragCoord, vec2 resolution, float time)
-{
-    gFragCoord = fragCoord;
-    gResolution = resolution;
-    gTime = time;
-    gDxyDuv = 1.0 / gResolution.x;
-}
+        this.canvas.addEventListener('webglcontextrestored', () => this.restoreContext());
+    }
 
-#define kPi                    3.14159265359
-#define kTwoPi                 (2.0 * kPi)
-#define kHalfPi                (0.5 * kPi)
-#define kRoot2                 1.41421356237
-#define kFltMax                3.402823466e+38
-#define kIntMax                0x7fffffff
-#define kOne                   vec3(1.0)
-#define kZero                  vec3(0.0)
-#define kPink                  vec3(1.0, 0.0, 0.2)
-
-float cubrt(float a)           { return sign(a) * pow(abs(a), 1.0 / 3.0); }
-float toRad(float deg)         { return kTwoPi * deg / 360.0; }
-float toDeg(float rad)         { return 360.0 * rad / kTwoPi; }
-float sqr(float a)             { return a * a; }
-vec3 sqr(vec3 a)               { return a * a; }
-int sqr(int a)                 { return a * a; }
-float cub(float a)             { return a * a * a; }
-int mod2(int a, int b)         { return ((a % b) + b) % b; }
-float mod2(float a, float b)   { return mod(mod(a, b) + b, b); }
-vec3 mod2(vec3 a, vec3 b)      { return mod(mod(a, b) + b, b); }
-float length2(vec2 v)          { return dot(v, v); }
-float length2(vec3 v)          { return dot(v, v); }
-int sum(ivec2 a)               { return a.x + a.y; }
-float luminance(vec3 v)        { return v.x * 0.17691 + v.y * 0.8124 + v.z * 0.01063; }
-float mean(vec3 v)             { return v.x / 3.0 + v.y / 3.0 + v.z / 3.0; }
-vec4 mul4(vec3 a, mat4 m)      { return vec4(a, 1.0) * m; }
-vec3 mul3(vec3 a, mat4 m)      { return (vec4(a, 1.0) * m).xyz; }
-float sin01(float a)           { return 0.5 * sin(a) + 0.5; }
-float cos01(float a)           { return 0.5 * cos(a) + 0.5; }
-float saturate(float a)        { return clamp(a, 0.0, 1.0); }
-vec3 saturate(vec3 a)          { return clamp(a, 0.0, 1.0); }
-vec4 saturate(vec4 a)          { return clamp(a, 0.0, 1.0); }
-float saw01(float a)           { return abs(fract(a) * 2.0 - 1.0); }
-float cwiseMax(vec3 v)         { return (v.x > v.y) ? ((v.x > v.z) ? v.x : v.z) : ((v.y > v.z) ? v.y : v.z); }
-float cwiseMax(vec2 v)         { return (v.x > v.y) ? v.x : v.y; }
-float cwiseMin(vec3 v)         { return (v.x < v.y) ? ((v.x < v.z) ? v.x : v.z) : ((v.y < v.z) ? v.y : v.z); }
-float cwiseMin(vec2 v)         { return (v.x < v.y) ? v.x : v.y; }
-void sort(inout float a, inout float b) { if(a > b) { float s = a; a = b; b = s; } }
-void swap(inout float a, inout float b) { float s = a; a = b; b = s; }
-
-vec3 safeAtan(vec3 a, vec3 b)
-{
-    vec3 r;
-    #define kAtanEpsilon 1e-10
-    r.x = (abs(a.x) < kAtanEpsilon && abs(b.x) < kAtanEpsilon) ? 0.0 : atan(a.x, b.x); 
-    r.y = (abs(a.y) < kAtanEpsilon && abs(b.y) < kAtanEpsilon) ? 0.0 : atan(a.y, b.y); 
-    r.z = (abs(a.z) < kAtanEpsilon && abs(b.z) < kAtanEpsilon) ? 0.0 : atan(a.z, b.z); 
-    return r;
-}
+    restoreContext() {
+        clearTimeout(this.contextRestoreTimer);
+        if (!this.isRunning || this.hasError) return;
 
-float SDFLine(vec2 p, vec2 v0, vec2 v1, float thickness)
-{
-    v1 -= v0;
-    float t = saturate((dot(p, v1) - dot(v0, v1)) / dot(v1, v1));
-    vec2 perp = v0 + t * v1;
-    return saturate((thickness - length(p - perp)) / gDxyDuv);
-}
+        console.log('[ShaderLoader] WebGL context restored, rebuilding');
+        try {
+            // Every handle from the lost context is dead, drop without deleting
+            this.programs = {};
+            this.textures = {};
+            this.framebuffers = {};
+            this.buffer = null;
+            this.supportsFloatBuffers = !this.isWebGL1 && !!this.gl.getExtension('EXT_color_buffer_float');
+
+            this.createFramebuffers();
+            if (!this.compileShaders()) {
+                throw new Error('Shader compilation failed');
+            }
+            this.createGeometry();
+
+            this.contextLost = false;
+            this.qualityStats.lastTime = 0;
+            this.stats.resetClock();
+            if (this.hud) this.setupPassTiming();
+            this.startRenderLoop();
+        } catch (e) {
+            console.error('[ShaderLoader] Context restore failed:', e);
+            this.fallbackToCSS();
+        }
+    }
 
-float SDFQuad(vec2 p, vec2 v[4], float thickness)
-{
-    float c = 0.0;
-    for(int i = 0; i < 4; i++)
-    {
-        c = max(c, SDFLine(p, v[i], v[(i+1)%4], thickness)); 
+    // Built-in pass sources are fetched from BUILTIN_SHADER_SOURCES
+    getWebGL1PassGraph() {
+        return [
+            {
+                name: 'image',
+                source: null,
+                inputs: [],
+                output: 'screen'
+            }
+        ];
     }
-    return c;
-}
 
-bool IsPointInQuad(vec2 uv, vec2 v[4])
-{
-    for(int i = 0; i < 4; i++)
-    {
-        if(dot(uv - v[i], v[i] - v[(i+1)%4]) > 0.0) { return false; }
+    /**
+     * Declarative multipass graph, executed in array order every frame.
+     *
+     *   name     - buffer name other passes reference in `inputs`
+     *   source   - GLSL pass source (common shader is prepended); the
+     *              built-in ones come from BUILTIN_SHADER_SOURCES
+     *   inputs   - pass names bound to iChannel0, iChannel1, ...
+     *   scale    - output size as a fraction of the canvas
+     *   feedback - ping-pong the buffer so reading itself yields last frame
+     *   float    - RGBA16F storage when EXT_color_buffer_float is available
+     *   output   - 'screen' renders straight to the canvas
+     */
+    getPassGraph() {
+        return [
+            {
+                name: 'bufferA',
+                source: null,
+                inputs: ['bufferA'],
+                scale: 1,
+                feedback: true
+            },
+            {
+                name: 'bufferB',
+                source: null,
+                inputs: ['bufferA'],
+                scale: 1 / 3
+            },
+            {
+                name: 'image',
+                source: null,
+                inputs: ['bufferB', 'bufferA'],
+                output: 'screen'
+            }
+        ];
     }
-    return true;
-}
 
-mat3 WorldToViewMatrix(float rot, vec2 trans, float sca)
-{   
-    return mat3(vec3(cos(rot) / sca, sin(rot) / sca, trans.x), 
-                vec3(-sin(rot) / sca, cos(rot) / sca, trans.y),
-                vec3(1.0));
-}
+    // The image pass draws to the canvas, or to the capture target
+    getOutputSize() {
+        const target = this.renderTarget ?? this.canvas;
+        return { width: target.width, height: target.height };
+    }
 
-vec2 TransformScreenToWorld(vec2 p)
-{   
-    return (p - vec2(gResolution.xy) * 0.5) / float(gResolution.y); 
-}
+    getPassSize(pass) {
+        const output = this.getOutputSize();
+        if (pass.output === 'screen') return output;
 
-vec3 Cartesian2DToBarycentric(vec2 p)
-{    
-    return vec3(p, 0.0) * mat3(vec3(0.0, 1.0 / 0.8660254037844387, 0.0),
-                          vec3(1.0, 0.5773502691896257, 0.0),
-                          vec3(-1.0, 0.5773502691896257, 0.0));    
-}
+        // Math.floor keeps scaled buffers at integer dimensions
+        const scale = pass.scale || 1;
+        return {
+            width: Math.max(1, Math.floor(output.width * scale)),
+            height: Math.max(1, Math.floor(output.height * scale))
+        };
+    }
 
-vec2 BarycentricToCartesian2D(vec3 b)
-{    
-    return vec2(b.y * 0.5 - b.z * 0.5, b.x * 0.8660254037844387);    
-}
+    createFramebuffers() {
+        const gl = this.gl;
 
-#define kHexRatio vec2(1.5, 0.8660254037844387)
-
-vec2 Cartesian2DToHexagonalTiling(in vec2 uv, out vec3 bary, out ivec2 ij)
-{    
-    vec2 uvClip = mod(uv + kHexRatio, 2.0 * kHexRatio) - kHexRatio;
-    
-    ij = ivec2((uv + kHexRatio) / (2.0 * kHexRatio)) * 2;
-    if(uv.x + kHexRatio.x <= 0.0) ij.x -= 2;
-    if(uv.y + kHexRatio.y <= 0.0) ij.y -= 2;
-    
-    bary = Cartesian2DToBarycentric(uvClip);
-    if(bary.x > 0.0)
-    {
-        if(bary.z > 1.0) { bary += vec3(-1.0, 1.0, -2.0); ij += ivec2(-1, 1); }
-        else if(bary.y > 1.0) { bary += vec3(-1.0, -2.0, 1.0); ij += ivec2(1, 1); }
-    }
-    else
-    {
-        if(bary.y < -1.0) { bary += vec3(1.0, 2.0, -1.0); ij += ivec2(-1, -1); }
-        else if(bary.z < -1.0) { bary += vec3(1.0, -1.0, 2.0); ij += ivec2(1, -1); }
-    }
-
-    return vec2(bary.y * 0.5773502691896257 - bary.z * 0.5773502691896257, bary.x);
-}
+        // Clean up existing textures and framebuffers before creating new ones
+        // This prevents stale texture data from causing visual artifacts during resize
+        Object.values(this.textures).forEach(t => gl.deleteTexture(t));
+        Object.values(this.framebuffers).forEach(fb => gl.deleteFramebuffer(fb));
+        this.textures = {};
+        this.framebuffers = {};
 
-bool InverseSternograph(inout vec2 uv, float zoom)
-{
-    float theta = length(uv) * kPi * zoom;
-    if(theta >= kPi - 1e-1) { return false; }
-    
-    float phi = atan(-uv.y, -uv.x) + kPi;
-    
-    vec3 sph = vec3(cos(phi) * sin(theta), sin(phi) * sin(theta), -cos(theta));
-    
-    uv = vec2(sph.x / (1.0 - sph.z), sph.y / (1.0 - sph.z));
-    return true;
-}
+        // Feedback passes get a second "Prev" buffer to ping-pong with
+        this.passes.forEach(pass => {
+            if (pass.output === 'screen') return;
 
-float SmoothStep(float a, float b, float x) { return mix(a, b, x * x * (3.0 - 2.0 * x)); }
-vec4 SmoothStep(vec4 a, vec4 b, float x)    { return mix(a, b, x * x * (3.0 - 2.0 * x)); }
-float SmoothStep(float x)                   { return mix(0.0, 1.0, x * x * (3.0 - 2.0 * x)); }
+            const { width, height } = this.getPassSize(pass);
+            const names = pass.feedback ? [pass.name, `${pass.name}Prev`] : [pass.name];
+            names.forEach(name => {
+                this.createTexture(name, width, height, pass.float && this.supportsFloatBuffers);
+                this.framebuffers[name] = this.createFramebuffer(this.textures[name]);
+            });
+        });
+    }
 
-float PaddedSmoothStep(float x, float a, float b)
-{ 
-    return SmoothStep(saturate(x * (a + b + 1.0) - a));
-}
+    createTexture(name, w, h, isFloat = false) {
+        const gl = this.gl;
 
-float PaddedSmoothStep(float x, float a)
-{
-    return PaddedSmoothStep(x, a, a);
-}
+        // Create texture with explicit black data to prevent stale GPU memory artifacts
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
 
-float Impulse(float x, float axis, float stdDev)
-{
-    return exp(-sqr((x - axis) / stdDev));
-}
+        // Initialize with black pixels to clear any stale GPU memory
+        // Use RGBA8 for compatibility unless the pass needs float storage
+        if (isFloat) {
+            const blackData = new Uint16Array(w * h * 4);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, w, h, 0, gl.RGBA, gl.HALF_FLOAT, blackData);
+        } else {
+            const blackData = new Uint8Array(w * h * 4);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, blackData);
+        }
 
-float KickDrop(float t, vec2 p0, vec2 p1, vec2 p2, vec2 p3)
-{
-    if(t < p1.x)
-    {
-        return mix(p0.y, p1.y, max(0.0, exp(-sqr((t - p1.x)*2.145966026289347/(p1.x-p0.x))) - 0.01) / 0.99);
-    }
-    else if(t < p2.x)
-    {
-        return mix(p1.y, p2.y, (t - p1.x) / (p2.x - p1.x));
-    }
-    else
-    {  
-        return mix(p3.y, p2.y, max(0.0, exp(-sqr((t - p2.x)*2.145966026289347/(p3.x-p2.x))) - 0.01) / 0.99);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        this.textures[name] = tex;
+        return tex;
     }
-}
 
-float KickDrop(float t, vec2 p0, vec2 p1, vec2 p2)
-{
-    return KickDrop(t, p0, p1, p1, p2);
-}
+    createFramebuffer(texture) {
+        const gl = this.gl;
+        const fb = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
 
-uvec4 PCGAdvance()
-{
-    rngSeed = rngSeed * 1664525u + 1013904223u;
-    
-    rngSeed.x += rngSeed.y*rngSeed.w; 
-    rngSeed.y += rngSeed.z*rngSeed.x; 
-    rngSeed.z += rngSeed.x*rngSeed.y; 
-    rngSeed.w += rngSeed.y*rngSeed.z;
-    
-    rngSeed ^= rngSeed >> 16u;
-    
-    rngSeed.x += rngSeed.y*rngSeed.w; 
-    rngSeed.y += rngSeed.z*rngSeed.x; 
-    rngSeed.z += rngSeed.x*rngSeed.y; 
-    rngSeed.w += rngSeed.y*rngSeed.z;
-    
-    return rngSeed;
-}
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            console.error('Framebuffer incomplete:', status);
+        }
 
-vec4 Rand(sampler2D tex)
-{
-    return texelFetch(tex, (ivec2(gFragCoord) + ivec2(PCGAdvance() >> 16)) % 1024, 0);
-}
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return fb;
+    }
 
-vec4 Rand()
-{
-    return vec4(PCGAdvance()) / float(0xffffffffu);
-}
-
-void PCGInitialise(uint seed)
-{    
-    rngSeed = uvec4(20219u, 7243u, 12547u, 28573u) * seed;
-}
-
-uint RadicalInverse(uint i)
-{
-    i = ((i & 0xffffu) << 16u) | (i >> 16u);
-    i = ((i & 0x00ff00ffu) << 8u) | ((i & 0xff00ff00u) >> 8u);
-    i = ((i & 0x0f0f0f0fu) << 4u) | ((i & 0xf0f0f0f0u) >> 4u);
-    i = ((i & 0x33333333u) << 2u) | ((i & 0xccccccccu) >> 2u);    
-    i = ((i & 0x55555555u) << 1u) | ((i & 0xaaaaaaaau) >> 1u);        
-    return i;
-}
-
-float HaltonBase2(uint i)
-{    
-    return float(RadicalInverse(i)) / float(0xffffffffu);
-}
-
-const mat4 kOrderedDither = mat4(vec4(0.0, 8.0, 2.0, 10.), vec4(12., 4., 14., 6.), vec4(3., 11., 1., 9.), vec4(15., 7., 13., 5.));
-float OrderedDither()
-{    
-    return (kOrderedDither[int(gFragCoord.x) & 3][int(gFragCoord.y) & 3] + 1.0) / 17.0;
-}
-
-float OrderedDither(ivec2 p)
-{    
-    return (kOrderedDither[p.x & 3][p.y & 3] + 1.0) / 17.0;
-}
-
-#define kFNVPrime              0x01000193u
-#define kFNVOffset             0x811c9dc5u
-#define kDimsPerBounce         4
-
-uint HashCombine(uint a, uint b)
-{
-    return (((a << (31u - (b & 31u))) | (a >> (b & 31u)))) ^
-            ((b << (a & 31u)) | (b >> (31u - (a & 31u))));
-}
-
-uint HashOf(uint i)
-{
-    uint h = (kFNVOffset ^ (i & 0xffu)) * kFNVPrime;
-    h = (h ^ ((i >> 8u) & 0xffu)) * kFNVPrime;
-    h = (h ^ ((i >> 16u) & 0xffu)) * kFNVPrime;
-    h = (h ^ ((i >> 24u) & 0xffu)) * kFNVPrime;
-    return h;
-}
-
-uint HashOf(uint a, uint b) { return HashCombine(HashOf(a), HashOf(b)); }
-uint HashOf(uint a, uint b, uint c) { return HashCombine(HashCombine(HashOf(a), HashOf(b)), HashOf(c)); }
-uint HashOf(uint a, uint b, uint c, uint d) { return HashCombine(HashCombine(HashOf(a), HashOf(b)), HashCombine(HashOf(c), HashOf(d))); }
-uint HashOf(ivec2 v) { return HashCombine(HashOf(uint(v.x)), HashOf(uint(v.y))); }
-
-float HashToFloat(uint i)
-{    
-    return float(i) / float(0xffffffffu);
-}
-
-vec3 Hue(float phi)
-{
-    float phiColour = 6.0 * phi;
-    int i = int(phiColour);
-    vec3 c0 = vec3(((i + 4) / 3) & 1, ((i + 2) / 3) & 1, ((i + 0) / 3) & 1);
-    vec3 c1 = vec3(((i + 5) / 3) & 1, ((i + 3) / 3) & 1, ((i + 1) / 3) & 1);             
-    return mix(c0, c1, phiColour - float(i));
-}
-
-vec3 HSVToRGB(vec3 hsv)
-{
-    return mix(vec3(0.0), mix(vec3(1.0), Hue(hsv.x), hsv.y), hsv.z);
-}
-
-vec3 RGBToHSV( vec3 rgb)
-{
-    vec3 hsv;
-    hsv.z = cwiseMax(rgb);
-
-    float chroma = hsv.z - cwiseMin(rgb);
-    hsv.y = (hsv.z < 1e-10) ? 0.0 : (chroma / hsv.z);
+    /**
+     * Fetch the .glsl files in `sources` and swap them in for the built-in
+     * source of their pass (or the common shader). Files that fail to load
+     * keep the previous source. Resolves with the keys that changed.
+     */
+    async loadShaderSources() {
+        const changed = [];
+        await Promise.all(Object.entries(this.sourceUrls).map(async ([key, url]) => {
+            try {
+                // Bypass the HTTP cache only while polling for edits
+                const response = await fetch(url, this.liveReload ? { cache: 'no-store' } : {});
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const text = await response.text();
+                if (text === this.sourceTexts[key]) return;
+                this.sourceTexts[key] = text;
+                changed.push(key);
+            } catch (e) {
+                console.warn(`[ShaderLoader] Could not load ${url}:`, e);
+            }
+        }));
 
-    if (chroma < 1e-10)        { hsv.x = 0.0; }
-    else if(hsv.z == rgb.x)    { hsv.x = (1.0 / 6.0) * (rgb.y - rgb.z) / chroma; }
-    else if(hsv.z == rgb.y)    { hsv.x = (1.0 / 6.0) * (2.0 + (rgb.z - rgb.x) / chroma); }
-    else                        { hsv.x = (1.0 / 6.0) * (4.0 + (rgb.x - rgb.y) / chroma); }
-    hsv.x = fract(hsv.x + 1.0);
+        changed.forEach(key => {
+            if (key === 'common') {
+                this.commonSource = this.sourceTexts[key];
+                return;
+            }
+            const pass = this.passes.find(p => p.name === key);
+            if (pass) {
+                pass.source = this.sourceTexts[key];
+            } else {
+                console.warn(`[ShaderLoader] No pass "${key}" for ${this.sourceUrls[key]}`);
+            }
+        });
+        return changed;
+    }
 
-    return hsv;
-}
+    startLiveReload() {
+        console.log('[ShaderLoader] Live reload:', Object.values(this.sourceUrls).join(', '));
+        const poll = async () => {
+            const changed = await this.loadShaderSources();
+            if (this.liveReloadTimer === null) return; // Stopped while fetching
+            if (changed.length && this.gl && !this.contextLost) {
+                this.reloadPrograms(changed);
+            }
+            this.liveReloadTimer = setTimeout(poll, this.liveReloadInterval);
+        };
+        this.liveReloadTimer = setTimeout(poll, this.liveReloadInterval);
+    }
 
-vec3 Overlay(vec3 a, vec3 b)
-{
-    return vec3((a.x < 0.5) ? (2.0 * a.x * b.x) : (1.0 - 2.0 * (1.0 - a.x) * (1.0 - b.x)),
-                (a.y < 0.5) ? (2.0 * a.y * b.y) : (1.0 - 2.0 * (1.0 - a.y) * (1.0 - b.y)),
-                (a.z < 0.5) ? (2.0 * a.z * b.z) : (1.0 - 2.0 * (1.0 - a.z) * (1.0 - b.z)));
-}
+    stopLiveReload() {
+        clearTimeout(this.liveReloadTimer);
+        this.liveReloadTimer = null;
+    }
 
-vec3 SoftLight(vec3 a, vec3 b)
-{
-    return (kOne - 2.0 * b) * sqr(a) + 2.0 * b * a;
-}
+    /**
+     * Recompile after a source edit: only the changed passes, or all of them
+     * when the common shader changed. Framebuffers, time and frame count are
+     * untouched, and a failed compile keeps the previous program running.
+     */
+    reloadPrograms(changed) {
+        this.hideErrorOverlay();
+        const started = performance.now();
+        if (this.compileShaders(changed.includes('common') ? null : changed)) {
+            console.log(`[ShaderLoader] Reloaded ${changed.join(', ')} in ${(performance.now() - started).toFixed(0)}ms`);
+        }
+    }
 
-float CIEXYZGauss(float lambda, float alpha, float mu, float sigma1, float sigma2)
-{
-   return alpha * exp(sqr(lambda - mu) / (-2.0 * sqr(lambda < mu ? sigma1 : sigma2)));
-}
+    /**
+     * Read the shader palette from the --shader-* custom properties on the
+     * root element (see style.css), so one theme change recolors the effect
+     * along with the page. Colors the canvas cannot parse keep the defaults.
+     */
+    readThemePalette() {
+        const style = getComputedStyle(document.documentElement);
+        const color = (name, fallback) => ShaderLoader.parseColor(style.getPropertyValue(name)) || fallback;
+        this.palette = {
+            background: color('--shader-background', [0.1, 0.1, 0.1]),
+            foreground: color('--shader-foreground', [0.9, 0.9, 0.9]),
+            tint: color('--shader-tint', [0.15, 0.29, 0.39]),
+            accent: color('--shader-accent', [0.96, 0.65, 0.14]),
+            hueShift: (parseFloat(style.getPropertyValue('--shader-hue-shift')) || 0) / 360 // deg -> turns
+        };
+    }
 
-vec3 SampleSpectrum(float delta)
-{
-    float lambda = mix(3800.0, 7000.0, delta);    
-
-    #define kRNorm (7000.0 - 3800.0) / 1143.07
-    #define kGNorm (7000.0 - 3800.0) / 1068.7
-    #define kBNorm (7000.0 - 3800.0) / 1068.25
-
-    vec3 xyz;
-    xyz.x = (CIEXYZGauss(lambda, 1.056, 5998.0, 379.0, 310.0) +
-             CIEXYZGauss(lambda, 0.362, 4420.0, 160.0, 267.0) +
-             CIEXYZGauss(lambda, 0.065, 5011.0, 204.0, 262.0)) * kRNorm;
-    xyz.y = (CIEXYZGauss(lambda, 0.821, 5688.0, 469.0, 405.0) +
-             CIEXYZGauss(lambda, 0.286, 5309.0, 163.0, 311.0)) * kGNorm;
-    xyz.z = (CIEXYZGauss(lambda, 1.217, 4370.0, 118.0, 360.0) +
-             CIEXYZGauss(lambda, 0.681, 4590.0, 260.0, 138.0)) * kBNorm;
-
-    vec3 rgb;
-    rgb.r = (2.04159 * xyz.x - 0.5650 * xyz.y - 0.34473 * xyz.z) / (2.0 * 0.565);
-    rgb.g = (-0.96924 * xyz.x + 1.87596 * xyz.y + 0.04155 * xyz.z) / (2.0 * 0.472);
-    rgb.b = (0.01344 * xyz.x - 0.11863 * xyz.y + 1.01517 * xyz.z) / (2.0 * 0.452);
-
-    return rgb;
-}
+    // Re-read the palette when the theme attribute or root styles change
+    watchTheme() {
+        this.readThemePalette();
+        this.themeObserver = new MutationObserver(() => this.readThemePalette());
+        this.themeObserver.observe(document.documentElement, {
+            attributes: true,
+            attributeFilter: ['data-theme', 'class', 'style']
+        });
+    }
 
-#define kApplyBloom               true
-#define kBloomTint                vec3(1.0)
-#define kBloomRadius              vec2(0.02 / float(kScreenDownsample))
-#define kBloomKernelShape         vec3(1.5, 1.0, 0.7)
-#define kBloomDownsample          3
-#define kDebugBloom               false
-#define kBloomBurnout              vec3(0.2) 
-
-void Gaussian(in int k, in int radius, in vec3 rgbK, in vec3 kernelShape, inout vec3 sigmaL, inout vec3 sigmaWeights)
-{
-    float d = float(abs(k)) / float(radius);
-    vec3 weight = pow(max(vec3(0.), (exp(-sqr(vec3(d) * 4.0)) - 0.0183156) / 0.981684), kernelShape);         
-
-    sigmaL += rgbK * weight;
-    sigmaWeights += weight;
-}
+    // Intros held for frame snapshots or live editing only end when
+    // skipped; one held by the tweak panel resumes when it is hidden
+    isIntroHeld() {
+        return this.holdFrame !== null || this.liveReload || this.showTweakPanel;
+    }
 
-void Epanechnikov(in int k, in int radius, in vec3 rgbK, in vec3 kernelShape, inout vec3 sigmaL, inout vec3 sigmaWeights)
-{
-    float d = float(abs(k)) / float(radius);
-    float weight = 1. - d*d;
+    compileShaders(passNames = null) {
+        const vsSource = this.isWebGL1
+            ? `attribute vec2 a_position;
+            void main() {
+                gl_Position = vec4(a_position, 0.0, 1.0);
+            }`
+            : `#version 300 es
+            in vec2 a_position;
+            void main() {
+                gl_Position = vec4(a_position, 0.0, 1.0);
+            }`;
 
-    sigmaL += rgbK * weight;
-    sigmaWeights += weight;
-}
+        // Compile each pass - Shadertoy code expects iChannel0-3 to always exist
+        const defines = this.usesBuiltinShaders
+            ? { ...this.getQualityDefines(), kTransitionStyle: TRANSITION_STYLES.indexOf(this.transitionStyle) }
+            : {};
+        const commonSource = this.commonSource ?? '';
+        const programs = {};
+        const passes = passNames ? this.passes.filter(p => passNames.includes(p.name)) : this.passes;
+        for (const pass of passes) {
+            const channelCount = Math.max(4, pass.inputs.length);
+            const channelNames = Array.from({ length: channelCount }, (_, i) => `iChannel${i}`);
+            const prog = this.compileProgram(vsSource, commonSource, pass.source, channelNames, defines, pass.name);
+            if (!prog) {
+                this.deletePrograms(programs);
+                return false;
+            }
+            programs[pass.name] = prog;
+        }
 
-#define BlurKernel Gaussian
+        // Recompiles (e.g. quality changes) replace the previous programs
+        this.deletePrograms(passes.map(pass => this.programs[pass.name]));
+        this.programs = { ...this.programs, ...programs };
 
-vec3 SeparableBlurDown(ivec2 xy, ivec2 res, sampler2D tex)
-{
-    if(xy.y == 0 || xy.x >= res.x / kBloomDownsample || xy.y >= res.y / kBloomDownsample)
-    {
-        return kZero;
+        return true;
     }
-    else
-    {
-        int radius = int(0.5 + float(min(res.x, res.y)) * kBloomRadius.x / float(kBloomDownsample));    
-        vec3 sigmaL = kZero, sigmaWeights = kZero;
-        for(int k = -radius; k <= radius; ++k)
-        {
-            ivec2 ij = (xy + ivec2(k, 0)) * kBloomDownsample;
-            vec3 texel = texelFetch(tex, ij, 0).xyz;
-            texel = max(kZero, texel - vec3(kBloomBurnout));
-            BlurKernel(k, radius, texel, kBloomKernelShape, sigmaL, sigmaWeights);
-        }
 
-        return sigmaL / max(kOne, sigmaWeights);
+    getTimelineUniformNames() {
+        const names = new Set();
+        Object.values(this.getTimelinePhases()).forEach(phase => {
+            phase.tracks.forEach(track => {
+                const [group, name] = track.target.split('.');
+                if (group === 'uniform' && !SHADER_UNIFORMS.includes(name)) names.add(name);
+            });
+        });
+        return [...names];
     }
-}
-
-vec3 SeparableBlurUp(ivec2 xyFrag, ivec2 res, sampler2D tex)
-{   
-    int radius = int(0.5 + float(min(res.x, res.y)) * kBloomRadius.y / float(kBloomDownsample));    
-    vec3 sigmaL = kZero, sigmaWeights = kZero;
-    for(int k = -radius; k <= radius; ++k)
-    {        
-        vec2 uv = (vec2(xyFrag + ivec2(0, k * kBloomDownsample)) - 0.5) / vec2(res);
-
-        // Sample from bloom texture - no division needed since texture fills full 0-1 space
-        vec3 texel = texture(tex, uv, 0.0).xyz;
-        
-        BlurKernel(k, radius, texel, kBloomKernelShape, sigmaL, sigmaWeights);
-    }
-
-    return sigmaL / max(kOne, sigmaWeights);
-}`;
-    }
-
-    getBufferAShader() {
-        return `
-#define kCaptureTimeDelay 0.0
-#define kCaptureTimeSpeed 1.0
-
-vec3 Render(vec2 uvScreen, int idx, int maxSamples, bool isDisplaced, float jpegDamage, out float blend)
-{       
-    #define kMBlurGain      (isDisplaced ? 100. : 10.0)
-    #define kZoomOrder      2
-    #define kEndPause       0.0
-    #define kSpeed          0.15
-     
-    vec4 xi = Rand(iChannel0);
-    uint hash = HashOf(uint(98796523), uint(gFragCoord.x), uint(gFragCoord.y));        
-    xi.y = (float(idx) + HaltonBase2(uint(idx) + hash)) / float(maxSamples);
-    xi.x = xi.y;
-    float time = 1. * max(0.0, iTime - kCaptureTimeDelay);
-    time = (time * kCaptureTimeSpeed + xi.y * kMBlurGain / 60.0) * kSpeed; 
-    
-    float phase = fract(time);
-    int interval = int(time) & 1;    
-    interval <<= 1;
-    float morph;
-    float warpedTime;
-    float spectrumBlend;
-    #define kIntervalPartition 0.85
-    if(phase < kIntervalPartition)
-    {
-        float y = (interval == 0) ? uvScreen.y : (iResolution.y - uvScreen.y);
-        warpedTime = (phase / kIntervalPartition) - 0.2 * sqrt(y / iResolution.y) - 0.1;
-        phase = fract(warpedTime);
-        morph = 1.0 - PaddedSmoothStep(sin01(kTwoPi * phase), 0., 0.4);
-        blend = float(interval / 2) * 0.5;
-        if(interval == 2) { warpedTime *= 0.5; }
-    }
-    else
-    {
-        time -=  0.8 * kSpeed * xi.y * kMBlurGain / 60.0;
-        warpedTime = time;
-        phase = (fract(time) - kIntervalPartition) / (1.0 - kIntervalPartition);
-        morph = 1.0;
-        blend = (KickDrop(phase, vec2(0.0, 0.0), vec2(0.2, -0.1), vec2(0.3, -0.1), vec2(0.7, 1.0)) + float(interval / 2)) * 0.5;        
-        interval++;
-    }
-    
-    float beta = abs(2.0 * max(0.0, blend) - 1.0);
-    
-    #define kMaxIterations  2
-    #define kTurns 7
-    #define kNumRipples 5
-    #define kRippleDelay (float(kNumRipples) / float(kTurns))
-    #define kThickness mix(0.5, 0.4, morph)
-    #define kExponent mix(0.05, 0.55, morph)
-    
-    float expMorph = pow(morph, 0.3);
-    // Responsive zoom: on narrow/mobile screens (aspect < 1), zoom out more
-    float aspectRatio = iResolution.x / iResolution.y;
-    float kZoom = aspectRatio < 1.0 ? 0.25 : 0.35;
-    #define kScale mix(2.6, 1.1, expMorph)
-
-    mat3 M = WorldToViewMatrix(blend * kTwoPi, vec2(0.0), kZoom);
-    vec2 uvView = TransformScreenToWorld(uvScreen);
-    int invert = 0;
-     
-    uvView /= 1.0 + 0.05 * length(uvView) * xi.z;
-
-    uvView = (vec3(uvView, 1.0) * M).xy; 
-    
-     vec3 bary;
-    ivec2 ij;
-    Cartesian2DToHexagonalTiling(uvView / 1.4, bary, ij);    
-    float len = cwiseMax(abs(bary));
-    
-    vec2 uvViewWarp = uvView;
-    uvViewWarp.y *= mix(1.0, 0.1, sqr(1.0 - morph) * xi.y * saturate(sqr(0.5 * (1.0 + uvView.y))));   
-    
-    float theta = toRad(30.0) * beta;
-    mat2 r = mat2(vec2(cos(theta), -sin(theta)), vec2(sin(theta), cos(theta)));
-    uvViewWarp = r * uvViewWarp;    
-
-    vec3 sigma = vec3(0.0);
-    for(int iterIdx = 0; iterIdx < kMaxIterations; ++iterIdx)
-    {   
-        vec3 bary;
-        ivec2 ij;
-        Cartesian2DToHexagonalTiling(uvViewWarp, bary, ij);        
-                        
-        if(!isDisplaced && ij != ivec2(0)) { break; }   
-        
-        int subdiv = 1 + int(exp(-sqr(10. * mix(-1., 1., phase))) * 100.);
-        
-        float theta = kTwoPi * (floor(cos01(kTwoPi * phase) * 12.) / 6.);
-        Cartesian2DToHexagonalTiling(uvViewWarp * (0.1 + float(subdiv)) - kHexRatio.y * vec2(sin(theta), cos(theta)) * floor(0.5 + sin01(kTwoPi * phase) * 2.) / 2., bary, ij);        
-        uint hexHash = HashOf(uint(phase * 6.), uint(subdiv), uint(ij.x), uint(ij.y));
-        if(hexHash % 2u == 0u)
-        {
-            float alpha = PaddedSmoothStep(sin01(phase * 20.0), 0.2, 0.75);
-            float dist = mix(cwiseMax(abs(bary)), length(uvView) * 2.5, 1.0 - alpha);
-            float hashSum = bary[hexHash % 3u] + bary[(hexHash + 1u) % 3u];
-
-            if( dist > 1.0 - 0.02 * float(subdiv)) { invert = invert ^ 1; }
-            else if( fract(20. / float(subdiv) * hashSum) < 0.5)  { invert = invert ^ 1; }
-            if(iterIdx == 0) break;
-        }
-        
-        float sigma = 0.0, sigmaWeight = 0.0;
-        for(int j = 0; j < kTurns; ++j)
-        {   
-            float delta = float(j) / float(kTurns);
-            float theta = kTwoPi * delta;
-            for(int i = 0; i < kNumRipples; ++i)
-            {
-                float l = length(uvViewWarp - vec2(cos(theta), sin(theta))) * 0.5;
-                float weight = log2(1.0 / (l + 1e-10));
-                sigma += fract(l - pow(fract((float(j) + float(i) / kRippleDelay) / float(kTurns) + warpedTime), kExponent)) * weight;
-                sigmaWeight += weight;
-            }            
-        }
-        invert = invert ^ int((sigma / sigmaWeight) > kThickness);
-        
-        theta = kTwoPi * (floor(cos01(kTwoPi * -phase) * 5. * 6.) / 6.);
-        uvViewWarp = r * (uvViewWarp + vec2(cos(theta), sin(theta)) * 0.5);
-        uvViewWarp *= kScale; 
-    }
-    
-    sigma = vec3(float(invert != 0));
-    
-    return mix(1.0 - sigma, sigma * mix(kOne, SampleSpectrum(xi.x), sqr(beta)), beta);
-}
-
-bool Interfere(inout vec2 xy, inout vec3 tint, in vec2 res)
-{
-    #define kStatic true
-    #define kStaticFrequency 0.1
-    #define kStaticLowMagnitude 0.01
-    #define kStaticHighMagnitude 0.02
-    
-    #define kVDisplace true
-    #define kVDisplaceFrequency 0.07
-    
-    #define kHDisplace true
-    #define kHDisplaceFrequency 0.25
-    #define kHDisplaceVMagnitude 0.1
-    #define kHDisplaceHMagnitude 0.5
-    
-    float frameHash = HashToFloat(HashOf(uint(iFrame / int(10.0 / kCaptureTimeSpeed))));
-    bool isDisplaced = false;
-    
-    if(kStatic)
-    {
-        float interP = 0.01, displacement = res.x * kStaticLowMagnitude;
-        if(frameHash < kStaticFrequency)
-        {
-            interP = 0.5;
-            displacement = kStaticHighMagnitude * res.x;
-            tint = vec3(0.5);
-        }
-
-        PCGInitialise(HashOf(uint(xy.y / 2.), uint(iFrame / int(60.0 / (24.0 * kCaptureTimeSpeed)))));
-        vec4 xi = Rand();
-        if(xi.x < interP) 
-        {  
-            float mag = mix(-1.0, 1.0, xi.y);        
-            xy.x -= displacement * sign(mag) * sqr(abs(mag)); 
-        }
-    }
-    
-    if(kVDisplace && frameHash > 1.0 - kVDisplaceFrequency)
-    {
-        float dispX = HashToFloat(HashOf(8783u, uint(iFrame / int(10.0 / kCaptureTimeSpeed))));
-        float dispY = HashToFloat(HashOf(364719u, uint(iFrame / int(12.0 / kCaptureTimeSpeed))));
-        
-        if(xy.y < dispX * res.y) 
-        { 
-            xy.y -= mix(-1.0, 1.0, dispY) * res.y * 0.2; 
-            isDisplaced = true;
-            tint = vec3(3.);
-        }
-    }
-    else if(kHDisplace && frameHash > 1.0 - kHDisplaceFrequency - kVDisplaceFrequency)
-    {
-        float dispX = HashToFloat(HashOf(147251u, uint(iFrame / int(9.0 / kCaptureTimeSpeed))));
-        float dispY = HashToFloat(HashOf(287512u, uint(iFrame / int(11.0 / kCaptureTimeSpeed))));
-        float dispZ = HashToFloat(HashOf(8756123u, uint(iFrame / int(7.0 / kCaptureTimeSpeed))));
-        
-        if(xy.y > dispX * res.y && xy.y < (dispX + mix(0.0, kHDisplaceVMagnitude, dispZ)) * res.y) 
-        { 
-            xy.x -= mix(-1.0, 1.0, dispY) * res.x * kHDisplaceHMagnitude; 
-            isDisplaced = true;
-            tint = vec3(3.);
-        }
-    }
-    
-    return isDisplaced;
-}
 
-void mainImage( out vec4 rgba, in vec2 xy )
-{
-    rgba = vec4(0.);
-    SetGlobals(xy, iResolution.xy, iTime);   
-    
-    if(xy.x > iResolution.x / float(kScreenDownsample) || xy.y > iResolution.y / float(kScreenDownsample)) { return; }      
-    
-    xy *= float(kScreenDownsample);
-       
-    vec3 tint;
-    vec2 xyInterfere = xy;
-    bool isDisplaced = Interfere(xyInterfere, tint, iResolution.xy);
-    
-    ivec2 xyDither = ivec2(xy) / int(HashOf(uint(iTime + sin(iTime) * 1.5), uint(xyInterfere.x / 128.), uint(xyInterfere.y / 128.)) & 127u);
-    float jpegDamage = OrderedDither(xyDither);
-   
-    #define kAntiAlias 5
-    vec3 rgb = vec3(0.0);
-    float blend = 0.0;
-    for(int i = 0, idx = 0; i < kAntiAlias; ++i)
-    {
-        for(int j = 0; j < kAntiAlias; ++j, ++idx)
-        {
-            vec2 xyAA = xyInterfere + vec2(float(i) / float(kAntiAlias), float(j) / float(kAntiAlias));            
-            
-            rgb += Render(xyAA, idx, sqr(kAntiAlias), isDisplaced, jpegDamage, blend);
-        }
-    }
-    
-    rgb /= float(sqr(kAntiAlias));
-    rgb = mix(rgb, Overlay(rgb, vec3(.15, 0.29, 0.39)), blend);
-    
-    if(isDisplaced)
-    {
-        #define kColourQuantisation 5
-        rgb *= float(kColourQuantisation);
-        if(fract(rgb.x) > jpegDamage) rgb.x += 1.0;
-        if(fract(rgb.y) > jpegDamage) rgb.y += 1.0;
-        if(fract(rgb.z) > jpegDamage) rgb.z += 1.0;
-        rgb = floor(rgb) / float(kColourQuantisation);
-    }
-    
-    vec3 hsv = RGBToHSV(rgb);    
-    hsv.x += -sin((hsv.x + 0.05) * kTwoPi) * 0.07;
-    hsv.y *= 1.0;    
-    rgb = HSVToRGB(hsv);
-    
-    rgba.xyz = rgb;    
-    rgba.w = 1.0;
-}`;
-    }
-
-    getBufferBShader() {
-        return `
-void mainImage( out vec4 rgba, in vec2 xyScreen )
-{
-    rgba *= 0.;
-    
-    if(kApplyBloom)
-    {    
-        rgba = vec4(SeparableBlurDown(ivec2(xyScreen), ivec2(iResolution.xy), iChannel0), 1.);
-    }
-}`;
-    }
-
-    getImageShader() {
-        return `
-float Vignette(in vec2 fragCoord)
-{
-    #define kVignetteStrength         0.5
-    #define kVignetteScale            0.6
-    #define kVignetteExponent         3.0
-    
-    vec2 uv = fragCoord / iResolution.xy;
-    uv.x = (uv.x - 0.5) * (iResolution.x / iResolution.y) + 0.5;     
-    
-    float x = 2.0 * (uv.x - 0.5);
-    float y = 2.0 * (uv.y - 0.5);
-    
-    float dist = sqrt(x*x + y*y) / kRoot2;
-    
-    return mix(1.0, max(0.0, 1.0 - pow(dist * kVignetteScale, kVignetteExponent)), kVignetteStrength);
-}
-
-void mainImage( out vec4 rgba, in vec2 xy )
-{
-    SetGlobals(xy, iResolution.xy, iTime); 
-    PCGInitialise(HashOf(uint(iFrame)));
-    
-    vec3 rgb = kZero;
-    
-    if(kApplyBloom) { rgb = SeparableBlurUp(ivec2(xy), ivec2(iResolution.xy), iChannel0); }
-
-    rgb += texelFetch(iChannel1, ivec2(xy) / kScreenDownsample, 0).xyz * 0.6;     
-    rgb = saturate(rgb);
-    rgb = pow(rgb, vec3(0.8));
-    rgb = mix(kOne * 0.1, kOne * 0.9, rgb);
-    rgb *= Vignette(xy);
-    
-    rgb = saturate(rgb);
-    
-    rgba.xyz = rgb;    
-    rgba.w = 1.0;
-}`;
+    // Parameters fed as uniforms; WebGL1 loops need constant bounds, so
+    // ints are compiled in there and changing one recompiles
+    getUniformParameters() {
+        if (!this.usesBuiltinShaders) return [];
+        return SHADER_PARAMETERS.filter(param => !(this.isWebGL1 && param.type === 'int'));
     }
 
-    createFramebuffers() {
-        const gl = this.gl;
-        const w = this.canvas.width;
-        const h = this.canvas.height;
+    getParameterPreamble() {
+        if (!this.usesBuiltinShaders) return '';
+        const uniformParameters = this.getUniformParameters();
+        return SHADER_PARAMETERS.map(param => (uniformParameters.includes(param)
+            ? `uniform ${param.type} param_${param.name};\n#define ${param.name} param_${param.name}`
+            : `#define ${param.name} ${this.parameters[param.name]}`)).join('\n');
+    }
 
-        // Clean up existing textures and framebuffers before creating new ones
-        // This prevents stale texture data from causing visual artifacts during resize
-        if (this.textures.bufferA) {
-            gl.deleteTexture(this.textures.bufferA);
-            gl.deleteTexture(this.textures.bufferB);
-            gl.deleteTexture(this.textures.bufferAPrev);
-            gl.deleteFramebuffer(this.framebuffers.bufferA);
-            gl.deleteFramebuffer(this.framebuffers.bufferB);
-            gl.deleteFramebuffer(this.framebuffers.bufferAPrev);
+    setParameter(name, value) {
+        const param = SHADER_PARAMETERS.find(p => p.name === name);
+        if (!param) {
+            console.warn(`[ShaderLoader] Unknown parameter "${name}"`);
+            return false;
         }
 
-        // Create textures - use RGBA8 for compatibility
-        // Use Math.floor for bufferB to ensure integer dimensions
-        this.createTexture('bufferA', w, h);
-        this.createTexture('bufferB', Math.max(1, Math.floor(w / 3)), Math.max(1, Math.floor(h / 3)));
-        this.createTexture('bufferAPrev', w, h);
+        const previous = this.parameters[name];
+        if (param.type === 'bool') {
+            this.parameters[name] = Boolean(value);
+        } else {
+            const number = Number(value);
+            const clamped = Number.isFinite(number) ? Math.min(param.max, Math.max(param.min, number)) : param.value;
+            this.parameters[name] = param.type === 'int' ? Math.round(clamped) : clamped;
+        }
 
-        // Create framebuffers
-        this.framebuffers.bufferA = this.createFramebuffer(this.textures.bufferA);
-        this.framebuffers.bufferB = this.createFramebuffer(this.textures.bufferB);
-        this.framebuffers.bufferAPrev = this.createFramebuffer(this.textures.bufferAPrev);
+        if (this.parameters[name] !== previous && this.gl && !this.getUniformParameters().includes(param)) {
+            this.compileShaders();
+        }
+        return true;
     }
 
-    createTexture(name, w, h) {
-        const gl = this.gl;
+    exportParameters() {
+        return JSON.stringify(this.parameters, null, 2);
+    }
 
-        // Create texture with explicit black data to prevent stale GPU memory artifacts
-        const tex = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, tex);
+    /**
+     * Apply a preset from exportParameters(), as JSON or an object.
+     * Unknown names are skipped, missing ones keep their current value.
+     */
+    importParameters(preset) {
+        const values = typeof preset === 'string' ? JSON.parse(preset) : preset;
+        Object.entries(values).forEach(([name, value]) => this.setParameter(name, value));
+        this.updateTweakPanel();
+    }
 
-        // Initialize with black pixels to clear any stale GPU memory
-        const blackData = new Uint8Array(w * h * 4);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, blackData);
+    resetParameters() {
+        this.importParameters(Object.fromEntries(SHADER_PARAMETERS.map(param => [param.name, param.value])));
+    }
 
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        this.textures[name] = tex;
-        return tex;
+    deletePrograms(programs) {
+        Object.values(programs).forEach(p => {
+            if (p && p.program) this.gl.deleteProgram(p.program);
+        });
     }
 
-    createFramebuffer(texture) {
-        const gl = this.gl;
-        const fb = gl.createFramebuffer();
-        gl.bindFramebuffer(gl.FRAMEBUFFER, fb);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    getQualityDefines() {
+        const tier = SHADER_QUALITY.tiers[this.qualityTier];
+        return {
+            kAntiAlias: tier.antiAlias,
+            kScreenDownsample: tier.downsample,
+            kApplyBloom: tier.bloom
+        };
+    }
 
-        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
-        if (status !== gl.FRAMEBUFFER_COMPLETE) {
-            console.error('Framebuffer incomplete:', status);
+    /**
+     * Average rAF frame times and step one tier down when too slow, or back
+     * up when frames come in at the display rate again.
+     */
+    updateQuality(now) {
+        const stats = this.qualityStats;
+        const delta = stats.lastTime ? now - stats.lastTime : 0;
+        stats.lastTime = now;
+
+        if (!this.adaptiveQuality || this.isTransitioning) return;
+        // Skip warm-up frames and long gaps (tab switches, compile stalls)
+        if (this.frameCount < stats.skipUntil || delta <= 0 || delta > 250) return;
+
+        stats.total += delta;
+        stats.frames++;
+        if (stats.frames < SHADER_QUALITY.sampleFrames) return;
+
+        const average = stats.total / stats.frames;
+        stats.total = 0;
+        stats.frames = 0;
+
+        const tier = this.qualityTier;
+        if (average > SHADER_QUALITY.stepDownFrameTime && tier < SHADER_QUALITY.tiers.length - 1) {
+            stats.stepDowns[tier] = (stats.stepDowns[tier] || 0) + 1;
+            this.setQualityTier(tier + 1, average);
+        } else if (average < SHADER_QUALITY.stepUpFrameTime && tier > 0 &&
+            (stats.stepDowns[tier - 1] || 0) < SHADER_QUALITY.maxStepUpRetries) {
+            this.setQualityTier(tier - 1, average);
         }
-
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        return fb;
     }
 
-    compileShaders() {
-        const vsSource = `#version 300 es
-            in vec2 a_position;
-            void main() {
-                gl_Position = vec4(a_position, 0.0, 1.0);
-            }`;
-
-        // Compile each pass
-        const bufferAProg = this.compileProgram(vsSource, this.getCommonShader(), this.getBufferAShader(), ['iChannel0']);
-        const bufferBProg = this.compileProgram(vsSource, this.getCommonShader(), this.getBufferBShader(), ['iChannel0']);
-        const imageProg = this.compileProgram(vsSource, this.getCommonShader(), this.getImageShader(), ['iChannel0', 'iChannel1']);
+    setQualityTier(index, averageFrameTime) {
+        const previous = this.qualityTier;
+        this.qualityTier = index;
 
-        if (!bufferAProg || !bufferBProg || !imageProg) {
+        if (!this.compileShaders()) {
+            console.warn('[ShaderLoader] Quality change failed, keeping', SHADER_QUALITY.tiers[previous].name);
+            this.qualityTier = previous;
             return false;
         }
 
-        this.programs.bufferA = bufferAProg;
-        this.programs.bufferB = bufferBProg;
-        this.programs.image = imageProg;
-
+        this.qualityStats.skipUntil = this.frameCount + SHADER_QUALITY.warmupFrames;
+        console.log(`[ShaderLoader] Quality: ${SHADER_QUALITY.tiers[index].name} (avg ${averageFrameTime.toFixed(1)}ms)`);
         return true;
     }
 
-    compileProgram(vsSource, commonSource, fsSource, channelNames) {
+    compileProgram(vsSource, commonSource, fsSource, channelNames, defines = {}, passName = 'pass') {
         const gl = this.gl;
 
-        const fullFS = `#version 300 es
+        // The fragment shader is stitched together from these sections;
+        // keep them separate so compiler line numbers can be mapped back
+        const sections = [
+            {
+                name: 'preamble',
+                source: `${this.isWebGL1 ? `#ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif` : `#version 300 es
             precision highp float;
             precision highp int;
-            precision highp sampler2D;
+            precision highp sampler2D;`}
             
+            ${Object.entries(defines).map(([name, value]) => `#define ${name} ${value}`).join('\n')}
+            ${this.getParameterPreamble()}
+            
+            uniform vec3 iResolution;
             uniform float iTime;
-            uniform vec2 iResolution;
+            uniform float iTimeDelta;
+            uniform float iFrameRate;
             uniform int iFrame;
+            uniform float iChannelTime[4];
+            uniform vec3 iChannelResolution[4];
+            uniform vec4 iMouse;
+            uniform vec4 iDate;
+            uniform float iSampleRate;
+            uniform int iSeed;
+            uniform vec3 iThemeBackground;
+            uniform vec3 iThemeForeground;
+            uniform vec3 iThemeTint;
+            uniform vec3 iThemeAccent;
+            uniform float iThemeHueShift;
+            uniform float iProgress;
+            uniform vec4 iPointer;
+            uniform vec3 iImpulse;
+            uniform vec2 iTilt;
+            uniform float iInteraction;
+            ${this.getTimelineUniformNames().map(name => `uniform float ${name};`).join('\n')}
             ${channelNames.map((name, i) => `uniform sampler2D ${name};`).join('\n')}
             
-            out vec4 fragColor;
-            
-            ${commonSource}
-            
-            ${fsSource}
-            
-            void main() {
-                mainImage(fragColor, gl_FragCoord.xy);
-            }`;
+            ${this.isWebGL1 ? '' : 'out vec4 shaderLoaderFragColor;'}`
+            },
+            { name: 'common', source: commonSource },
+            { name: passName, source: fsSource },
+            {
+                name: 'main',
+                source: this.isWebGL1
+                    ? `void main() {
+                vec4 shaderLoaderFragColor;
+                mainImage(shaderLoaderFragColor, gl_FragCoord.xy);
+                gl_FragColor = shaderLoaderFragColor;
+            }`
+                    : `void main() {
+                mainImage(shaderLoaderFragColor, gl_FragCoord.xy);
+            }`
+            }
+        ];
+        const fullFS = sections.map(section => section.source).join('\n');
 
         const vs = gl.createShader(gl.VERTEX_SHADER);
         gl.shaderSource(vs, vsSource);
         gl.compileShader(vs);
 
         if (!gl.getShaderParameter(vs, gl.COMPILE_STATUS)) {
-            console.error('VS error:', gl.getShaderInfoLog(vs));
+            const log = gl.getShaderInfoLog(vs);
+            console.error('VS error:', log);
+            this.reportShaderError(passName, 'vertex', log, [{ name: 'vertex', source: vsSource }]);
+            gl.deleteShader(vs);
             return null;
         }
 
@@ -1110,7 +1526,11 @@ void mainImage( out vec4 rgba, in vec2 xy )
         gl.compileShader(fs);
 
         if (!gl.getShaderParameter(fs, gl.COMPILE_STATUS)) {
-            console.error('FS error:', gl.getShaderInfoLog(fs));
+            const log = gl.getShaderInfoLog(fs);
+            console.error('FS error:', log);
+            this.reportShaderError(passName, 'fragment', log, sections);
+            gl.deleteShader(vs);
+            gl.deleteShader(fs);
             return null;
         }
 
@@ -1119,21 +1539,254 @@ void mainImage( out vec4 rgba, in vec2 xy )
         gl.attachShader(prog, fs);
         gl.linkProgram(prog);
 
+        // The linked program keeps its own copy, so recompiles don't pile
+        // up shader objects
+        gl.detachShader(prog, vs);
+        gl.detachShader(prog, fs);
+        gl.deleteShader(vs);
+        gl.deleteShader(fs);
+
         if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
-            console.error('Link error:', gl.getProgramInfoLog(prog));
+            const log = gl.getProgramInfoLog(prog);
+            console.error('Link error:', log);
+            this.reportShaderError(passName, 'link', log, []);
+            gl.deleteProgram(prog);
             return null;
         }
 
+        const timelineUniforms = this.getTimelineUniformNames();
+        const uniforms = {};
+        [...SHADER_UNIFORMS, ...timelineUniforms, ...channelNames].forEach(name => {
+            uniforms[name] = gl.getUniformLocation(prog, name);
+        });
+        const parameters = this.getUniformParameters().map(param => ({
+            ...param,
+            location: gl.getUniformLocation(prog, `param_${param.name}`)
+        }));
+
         return {
             program: prog,
-            uniforms: {
-                iTime: gl.getUniformLocation(prog, 'iTime'),
-                iResolution: gl.getUniformLocation(prog, 'iResolution'),
-                iFrame: gl.getUniformLocation(prog, 'iFrame'),
-                iChannel0: gl.getUniformLocation(prog, 'iChannel0'),
-                iChannel1: gl.getUniformLocation(prog, 'iChannel1')
+            channels: channelNames,
+            timelineUniforms,
+            parameters,
+            uniforms
+        };
+    }
+
+    /**
+     * Map "ERROR: 0:<line>: message" entries in a compiler log back to the
+     * section (preamble/common/pass/main) and line they came from.
+     */
+    parseShaderLog(log, sections) {
+        const errors = [];
+        const pattern = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/gm;
+        let match;
+
+        while ((match = pattern.exec(log || '')) !== null) {
+            const globalLine = parseInt(match[2], 10);
+            let startLine = 1;
+            let section = null;
+            for (const candidate of sections) {
+                const lineCount = candidate.source.split('\n').length;
+                if (globalLine < startLine + lineCount) {
+                    section = candidate;
+                    break;
+                }
+                startLine += lineCount;
+            }
+
+            const line = section ? globalLine - startLine + 1 : globalLine;
+            const excerpt = section
+                ? section.source.split('\n')
+                    .map((text, i) => ({ line: i + 1, text }))
+                    .slice(Math.max(0, line - 3), line + 2)
+                : [];
+
+            errors.push({
+                severity: match[1].toLowerCase(),
+                section: section ? section.name : null,
+                line,
+                message: match[3].trim(),
+                excerpt
+            });
+        }
+
+        return errors;
+    }
+
+    reportShaderError(pass, stage, log, sections) {
+        const errors = this.parseShaderLog(log, sections);
+        const detail = { pass, stage, log, errors };
+
+        errors.forEach(error => {
+            console.error(`[ShaderLoader] ${error.section || pass}:${error.line} ${error.message}`);
+        });
+
+        if (this.debug) {
+            this.showErrorOverlay(detail);
+        }
+
+        window.dispatchEvent(new CustomEvent('shaderLoaderError', { detail }));
+    }
+
+    showErrorOverlay({ pass, stage, log, errors }) {
+        if (!this.errorOverlay) {
+            this.errorOverlay = document.createElement('div');
+            this.errorOverlay.id = 'shader-error-overlay';
+            this.errorOverlay.setAttribute('role', 'alert');
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'shader-error-close';
+            close.textContent = 'Dismiss';
+            close.addEventListener('click', () => this.hideErrorOverlay());
+            this.errorOverlay.appendChild(close);
+            document.body.appendChild(this.errorOverlay);
+        }
+
+        const entry = document.createElement('section');
+        const heading = document.createElement('h2');
+        heading.textContent = `Shader ${stage} error in pass "${pass}"`;
+        entry.appendChild(heading);
+
+        if (errors.length === 0) {
+            const pre = document.createElement('pre');
+            pre.textContent = log;
+            entry.appendChild(pre);
+        }
+
+        errors.forEach(error => {
+            const message = document.createElement('p');
+            message.textContent = `${error.section || pass}:${error.line} - ${error.message}`;
+            entry.appendChild(message);
+
+            if (error.excerpt.length) {
+                const pre = document.createElement('pre');
+                pre.textContent = error.excerpt
+                    .map(({ line, text }) => `${line === error.line ? '>' : ' '} ${String(line).padStart(4)} | ${text}`)
+                    .join('\n');
+                entry.appendChild(pre);
+            }
+        });
+
+        this.errorOverlay.appendChild(entry);
+    }
+
+    /**
+     * Dev panel with a control per SHADER_PARAMETERS entry, grouped, plus
+     * preset export (download) and import (JSON file).
+     */
+    createTweakPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'shader-tweak-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'Shader parameters');
+        panel.innerHTML = '<h2>Shader parameters <small>Alt+Shift+T</small></h2>';
+        this.tweakInputs = {};
+
+        const groups = {};
+        SHADER_PARAMETERS.forEach(param => {
+            if (!groups[param.group]) {
+                groups[param.group] = document.createElement('fieldset');
+                groups[param.group].innerHTML = `<legend>${param.group}</legend>`;
+                panel.appendChild(groups[param.group]);
             }
+
+            const label = document.createElement('label');
+            const name = document.createElement('span');
+            name.textContent = param.name;
+            const input = document.createElement('input');
+            const output = document.createElement('output');
+
+            if (param.type === 'bool') {
+                input.type = 'checkbox';
+                input.addEventListener('change', () => this.setParameter(param.name, input.checked));
+            } else {
+                input.type = 'range';
+                input.min = param.min;
+                input.max = param.max;
+                input.step = param.step;
+                input.addEventListener('input', () => {
+                    this.setParameter(param.name, input.value);
+                    output.textContent = this.parameters[param.name];
+                });
+            }
+
+            label.append(name, input, output);
+            groups[param.group].appendChild(label);
+            this.tweakInputs[param.name] = { input, output };
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'shader-tweak-actions';
+        const button = (text, onClick) => {
+            const el = document.createElement('button');
+            el.type = 'button';
+            el.textContent = text;
+            el.addEventListener('click', onClick);
+            actions.appendChild(el);
         };
+        const file = document.createElement('input');
+        file.type = 'file';
+        file.accept = 'application/json,.json';
+        file.hidden = true;
+        file.addEventListener('change', async () => {
+            if (!file.files[0]) return;
+            try {
+                this.importParameters(await file.files[0].text());
+            } catch (e) {
+                console.warn('[ShaderLoader] Invalid parameter preset:', e);
+            }
+            file.value = '';
+        });
+
+        button('Export', () => {
+            ShaderLoader.downloadBlob(new Blob([this.exportParameters()], { type: 'application/json' }), 'shader-preset.json');
+        });
+        button('Import', () => file.click());
+        button('Reset', () => this.resetParameters());
+        actions.appendChild(file);
+        panel.appendChild(actions);
+
+        document.body.appendChild(panel);
+        this.tweakPanel = panel;
+        this.updateTweakPanel();
+    }
+
+    toggleTweakPanel(force) {
+        if (!this.tweakPanel) this.createTweakPanel();
+        this.tweakPanel.hidden = force === undefined ? !this.tweakPanel.hidden : !force;
+
+        // The intro is held while the panel is shown (see isIntroHeld)
+        const wasHeld = this.isIntroHeld();
+        this.showTweakPanel = !this.tweakPanel.hidden;
+        if (!this.isRunning || this.isAmbient || this.isTransitioning || this.isCapturing) return;
+        if (!wasHeld && this.isIntroHeld()) {
+            clearTimeout(this.transitionTimer);
+            clearTimeout(this.maxDurationTimer);
+        } else if (wasHeld && !this.isIntroHeld()) {
+            this.scheduleTransition();
+        }
+    }
+
+    updateTweakPanel() {
+        if (!this.tweakPanel) return;
+        SHADER_PARAMETERS.forEach(param => {
+            const { input, output } = this.tweakInputs[param.name];
+            const value = this.parameters[param.name];
+            if (param.type === 'bool') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            output.textContent = param.type === 'bool' ? '' : value;
+        });
+    }
+
+    hideErrorOverlay() {
+        if (!this.errorOverlay) return;
+        this.errorOverlay.remove();
+        this.errorOverlay = null;
     }
 
     createGeometry() {
@@ -1148,41 +1801,73 @@ void mainImage( out vec4 rgba, in vec2 xy )
         gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
     }
 
-    renderPass(programInfo, inputTextures, outputFB) {
+    renderPass(programInfo, inputs, outputFB, size) {
         const gl = this.gl;
 
         if (!programInfo) return;
 
         gl.useProgram(programInfo.program);
 
-        // Bind output and set viewport
+        // Bind output and set viewport to the pass's own output size
         gl.bindFramebuffer(gl.FRAMEBUFFER, outputFB);
-
-        // Set viewport based on output target
-        if (outputFB === null) {
-            // Rendering to canvas - use canvas dimensions
-            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-        } else if (outputFB === this.framebuffers.bufferB) {
-            // BufferB is at 1/3 resolution
-            const w = Math.max(1, Math.floor(this.canvas.width / 3));
-            const h = Math.max(1, Math.floor(this.canvas.height / 3));
-            gl.viewport(0, 0, w, h);
-        } else {
-            // bufferA and bufferAPrev are full resolution
-            gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.viewport(0, 0, size.width, size.height);
+
+        // Set uniforms - iResolution is always the output size, scaled
+        // passes (e.g. the 1/3 bloom buffer) account for it in GLSL
+        const u = programInfo.uniforms;
+        const channelResolution = new Float32Array(12);
+        inputs.slice(0, 4).forEach((input, i) => {
+            if (input) channelResolution.set([input.width, input.height, 1], i * 3);
+        });
+        // Fixed-timestep playback and captures start at midnight so iDate is reproducible too
+        const now = this.fixedTimestep || this.isCapturing ? new Date(2000, 0, 1, 0, 0, 0, this.time * 1000) : new Date();
+        const secondsToday = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds() + now.getMilliseconds() / 1000;
+        const mouse = this.mouse;
+        const input = this.interaction;
+
+        const output = this.getOutputSize();
+        gl.uniform3f(u.iResolution, output.width, output.height, 1);
+        gl.uniform1f(u.iTime, this.time);
+        gl.uniform1f(u.iTimeDelta, this.timeDelta);
+        gl.uniform1f(u.iFrameRate, this.frameRate);
+        gl.uniform1i(u.iFrame, this.frameCount);
+        gl.uniform1fv(u.iChannelTime, [this.time, this.time, this.time, this.time]);
+        gl.uniform3fv(u.iChannelResolution, channelResolution);
+        gl.uniform4f(u.iMouse, mouse.x, mouse.y,
+            mouse.isDown ? mouse.clickX : -mouse.clickX,
+            mouse.clicked ? mouse.clickY : -mouse.clickY);
+        gl.uniform4f(u.iDate, now.getFullYear(), now.getMonth(), now.getDate(), secondsToday);
+        gl.uniform1f(u.iSampleRate, 44100);
+        gl.uniform1f(u.iProgress, this.displayProgress);
+        gl.uniform4f(u.iPointer, input.x, input.y, input.vx, input.vy);
+        gl.uniform3f(u.iImpulse, input.impulseX, input.impulseY, input.impulse);
+        gl.uniform2f(u.iTilt, input.tiltX, input.tiltY);
+        gl.uniform1f(u.iInteraction, this.interactionStrength);
+        gl.uniform1i(u.iSeed, this.seed);
+        if (this.palette) {
+            gl.uniform3fv(u.iThemeBackground, this.palette.background);
+            gl.uniform3fv(u.iThemeForeground, this.palette.foreground);
+            gl.uniform3fv(u.iThemeTint, this.palette.tint);
+            gl.uniform3fv(u.iThemeAccent, this.palette.accent);
+            gl.uniform1f(u.iThemeHueShift, this.palette.hueShift);
         }
-
-        // Set uniforms
-        const time = (performance.now() - this.startTime) / 1000;
-        gl.uniform1f(programInfo.uniforms.iTime, time);
-        gl.uniform2f(programInfo.uniforms.iResolution, this.canvas.width, this.canvas.height);
-        gl.uniform1i(programInfo.uniforms.iFrame, this.frameCount);
+        programInfo.timelineUniforms.forEach(name => {
+            gl.uniform1f(u[name], this.timelineUniforms[name] || 0);
+        });
+        programInfo.parameters.forEach(param => {
+            const value = this.parameters[param.name];
+            if (param.type === 'float') {
+                gl.uniform1f(param.location, value);
+            } else {
+                gl.uniform1i(param.location, Number(value));
+            }
+        });
 
         // Bind input textures
-        inputTextures.forEach((tex, i) => {
+        inputs.forEach((input, i) => {
             gl.activeTexture(gl.TEXTURE0 + i);
-            gl.bindTexture(gl.TEXTURE_2D, tex);
-            const loc = i === 0 ? programInfo.uniforms.iChannel0 : programInfo.uniforms.iChannel1;
+            gl.bindTexture(gl.TEXTURE_2D, input ? input.texture : null);
+            const loc = u[programInfo.channels[i]];
             if (loc) gl.uniform1i(loc, i);
         });
 
@@ -1195,72 +1880,514 @@ void mainImage( out vec4 rgba, in vec2 xy )
         gl.disableVertexAttribArray(posLoc);
     }
 
+    /**
+     * Resolve a pass input to its texture and size. Feedback buffers that
+     * have not been rendered yet this frame (including a pass reading itself)
+     * resolve to their "Prev" side, i.e. last frame's output.
+     */
+    resolveInput(input, passIndex) {
+        const sourceIndex = this.passes.findIndex(p => p.name === input);
+        const source = this.passes[sourceIndex];
+        if (!source) return null;
+
+        const usePrev = source.feedback && sourceIndex >= passIndex;
+        return {
+            texture: this.textures[usePrev ? `${input}Prev` : input],
+            ...this.getPassSize(source)
+        };
+    }
+
+    updateFrameUniforms(now) {
+        if (this.fixedTimestep) {
+            this.time = this.frameCount * this.fixedTimestep;
+            this.timeDelta = this.frameCount ? this.fixedTimestep : 0;
+            this.frameRate = 1 / this.fixedTimestep;
+            return;
+        }
+
+        const time = Math.max(0, (now - this.startTime) / 1000);
+        this.timeDelta = this.frameCount ? time - this.time : 0;
+        this.time = time;
+        if (this.timeDelta > 0) {
+            this.frameRate += (1 / this.timeDelta - this.frameRate) * 0.1;
+        }
+    }
+
+    renderFrame() {
+        this.passes.forEach((pass, index) => {
+            const inputs = pass.inputs.map(input => this.resolveInput(input, index));
+            const screenFB = this.renderTarget ? this.renderTarget.framebuffer : null;
+            const outputFB = pass.output === 'screen' ? screenFB : this.framebuffers[pass.name];
+            this.beginPassTiming();
+            this.renderPass(this.programs[pass.name], inputs, outputFB, this.getPassSize(pass));
+            this.endPassTiming(pass.name);
+        });
+
+        // iMouse.w is only positive on the frame of the press
+        this.mouse.clicked = false;
+
+        // Swap ping-pong buffers so this frame's output becomes next frame's "Prev"
+        this.passes.forEach(pass => {
+            if (!pass.feedback) return;
+            const prev = `${pass.name}Prev`;
+            [this.textures[pass.name], this.textures[prev]] = [this.textures[prev], this.textures[pass.name]];
+            [this.framebuffers[pass.name], this.framebuffers[prev]] = [this.framebuffers[prev], this.framebuffers[pass.name]];
+        });
+    }
+
+    /**
+     * The loop runs on the shared animationScheduler, which pauses it while
+     * the tab is hidden (and, once ambient, while the hero is off-screen or
+     * the device is saving power). onResume shifts the clock so iTime
+     * continues where it stopped.
+     */
     startRenderLoop() {
-        const gl = this.gl;
+        this.stopTimelineDriver();
+        if (this.timeline) this.timeline.resetClock();
+        if (this.renderLoop) {
+            this.renderLoop.start();
+            return;
+        }
 
-        const loop = () => {
-            if (!this.isRunning) return;
+        const loop = (delta, now) => {
+            if (!this.isRunning || this.contextLost || this.isCapturing) {
+                this.stopRenderLoop();
+                return;
+            }
+            if (this.holdFrame !== null && this.frameCount > this.holdFrame) {
+                this.stopRenderLoop();
+                this.holdCurrentFrame();
+                return;
+            }
 
-            // Render passes
-            this.renderPass(this.programs.bufferA, [this.textures.bufferAPrev], this.framebuffers.bufferA);
-            this.renderPass(this.programs.bufferB, [this.textures.bufferA], this.framebuffers.bufferB);
+            this.updateQuality(now);
+            this.stats.recordFrame(now);
+            this.updateFrameUniforms(now);
+            if (!this.isAmbient && this.timeline) {
+                this.timeline.update(this.fixedTimestep ? this.time * 1000 : now);
+            }
+            this.updateInteraction(this.timeDelta);
 
-            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-            this.renderPass(this.programs.image, [this.textures.bufferB, this.textures.bufferA], null);
+            // Ease towards the real load progress so the bar never jumps
+            // (load timing is not reproducible, so no bar in fixed-timestep playback)
+            if (!this.isAmbient && !this.fixedTimestep) {
+                this.displayProgress += (this.getLoadProgress() - this.displayProgress) * 0.08;
+            }
 
-            // Copy bufferA to bufferAPrev
-            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.framebuffers.bufferA);
-            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.framebuffers.bufferAPrev);
-            gl.blitFramebuffer(0, 0, this.canvas.width, this.canvas.height,
-                0, 0, this.canvas.width, this.canvas.height,
-                gl.COLOR_BUFFER_BIT, gl.LINEAR);
+            this.renderFrame();
+            if (this.hud) {
+                this.collectPassTimings();
+                this.updateHUD(now);
+            }
 
             this.frameCount++;
-            requestAnimationFrame(loop);
+            if (this.holdFrame !== null && this.frameCount > this.holdFrame) {
+                this.stopRenderLoop();
+                this.holdCurrentFrame();
+            }
         };
 
-        requestAnimationFrame(loop);
+        // Essential while the intro covers the page, see enterAmbientMode()
+        this.renderLoop = animationScheduler.add(loop, {
+            essential: true,
+            onResume: (pausedFor) => this.resumeClock(pausedFor)
+        });
+        this.renderLoop.start();
     }
 
-    startTransition() {
-        console.log('[ShaderLoader] Starting transition');
-        const interval = setInterval(() => {
-            const elapsed = performance.now() - this.startTime;
-            const progress = Math.min((elapsed - this.transitionStart) / this.transitionDuration, 1);
+    stopRenderLoop() {
+        if (this.renderLoop) this.renderLoop.stop();
+        if (this.isRunning && !this.isAmbient) this.startTimelineDriver();
+    }
+
+    resumeClock(pausedFor) {
+        this.startTime += pausedFor;
+        this.qualityStats.lastTime = 0;
+        this.stats.resetClock();
+        if (this.timeline) this.timeline.resetClock();
+    }
+
+    /**
+     * Runs in the same tick as the held frame's draw, so shaderLoaderFrameHeld
+     * listeners can still read it (canvas.toDataURL, readPixels) before the
+     * drawing buffer is presented and cleared.
+     */
+    holdCurrentFrame() {
+        if (this.isHeld) return;
+        this.isHeld = true;
+        console.log(`[ShaderLoader] Holding frame ${this.holdFrame} (seed ${this.seed})`);
+        window.dispatchEvent(new CustomEvent('shaderLoaderFrameHeld', {
+            detail: { frame: this.holdFrame, seed: this.seed, time: this.time }
+        }));
+    }
+
+    /**
+     * Render frames at a fixed timestep, independent of the wall clock, into
+     * an offscreen width x height framebuffer and export them as PNGs or a
+     * WebM. PNG captures are a single still unless `frames` or `duration`
+     * is given; WebM defaults to 5 seconds. The visible canvas keeps its
+     * size, and the live loop and the intro transition are held meanwhile.
+     * Frames are rendered from a fresh feedback state with visitor input
+     * at rest; WebM recording runs in real time so MediaRecorder timestamps
+     * match the fixed timestep.
+     *
+     *   shaderLoader.capture({ format: 'png', width: 3840, height: 2160 })
+     *   shaderLoader.capture({ format: 'png', duration: 2, fps: 30 }) // 60 PNGs
+     *
+     * Resolves with the captured Blobs, which are also downloaded unless
+     * `download` is false.
+     */
+    async capture(options = {}) {
+        if (!this.gl || this.contextLost || this.isCapturing) {
+            throw new Error('[ShaderLoader] Capture needs an idle WebGL context');
+        }
+
+        const gl = this.gl;
+        const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+        const format = options.format ?? 'png';
+        if (!['png', 'webm'].includes(format)) {
+            throw new Error(`[ShaderLoader] Unknown capture format "${format}"`);
+        }
+        const fps = options.fps ?? 60;
+        const duration = options.duration ?? (format === 'png' ? 1 / fps : 5); // seconds
+        const frames = options.frames ?? Math.max(1, Math.round(duration * fps));
+        const startTime = options.startTime ?? 0; // seconds
+        const width = Math.min(options.width ?? this.canvas.width, maxSize);
+        const height = Math.min(options.height ?? this.canvas.height, maxSize);
+        const name = options.name ?? 'shader-loader';
+
+        console.log(`[ShaderLoader] Capturing ${frames} ${format} frame(s) at ${width}x${height}, ${fps}fps`);
+        this.isCapturing = true;
+        this.stopRenderLoop();
+        clearTimeout(this.transitionTimer);
+        clearTimeout(this.maxDurationTimer);
+
+        const saved = {
+            time: this.time,
+            frameCount: this.frameCount,
+            qualityTier: this.qualityTier,
+            interactionStrength: this.interactionStrength,
+            displayProgress: this.displayProgress
+        };
+        this.interactionStrength = 0;
+        this.displayProgress = options.progress ?? 0;
+
+        const blobs = [];
+        const renderCaptureFrame = (index) => {
+            this.frameCount = index;
+            this.time = startTime + index / fps;
+            this.timeDelta = 1 / fps;
+            this.frameRate = fps;
+            this.renderFrame();
+            this.readCaptureTarget();
+        };
+
+        let tierChanged = false;
+        let restoreFailed = false;
+        try {
+            if (options.qualityTier !== undefined && options.qualityTier !== this.qualityTier) {
+                this.qualityTier = options.qualityTier;
+                if (!this.compileShaders()) {
+                    throw new Error(`[ShaderLoader] Could not compile the shaders for quality tier ${options.qualityTier}`);
+                }
+                tierChanged = true;
+            }
+
+            this.renderTarget = this.createCaptureTarget(width, height);
+            this.createFramebuffers();
 
-            if (progress >= 0) {
-                this.handleTransition(progress);
+            if (format === 'png') {
+                for (let i = 0; i < frames; i++) {
+                    renderCaptureFrame(i);
+                    blobs.push(await new Promise(resolve => this.renderTarget.canvas.toBlob(resolve, 'image/png')));
+                }
+            } else {
+                blobs.push(await this.recordWebM(frames, fps, renderCaptureFrame, options.bitrate));
             }
+        } finally {
+            this.qualityTier = saved.qualityTier;
+            if (tierChanged) restoreFailed = !this.compileShaders();
+            this.interactionStrength = saved.interactionStrength;
+            this.displayProgress = saved.displayProgress;
+            this.frameCount = saved.frameCount;
+            this.startTime = performance.now() - saved.time * 1000;
+            this.qualityStats.lastTime = 0;
+            this.stats.resetClock();
+            this.isCapturing = false;
+            this.deleteCaptureTarget();
+            this.createFramebuffers();
+
+            this.startRenderLoop();
+            if (!this.isTransitioning && !this.isAmbient && !this.isIntroHeld()) this.scheduleTransition();
+        }
+
+        if (restoreFailed) {
+            throw new Error('[ShaderLoader] Could not recompile the shaders after capture');
+        }
+
+        if (options.download ?? true) {
+            blobs.forEach((blob, i) => {
+                const suffix = format === 'png' ? `-${String(i).padStart(4, '0')}` : '';
+                ShaderLoader.downloadBlob(blob, `${name}${suffix}.${format}`);
+            });
+        }
+
+        console.log(`[ShaderLoader] Capture done (${blobs.length} file(s))`);
+        return blobs;
+    }
+
+    /**
+     * Offscreen framebuffer for capture(). Frames are read back into a
+     * detached 2D canvas, which is what gets encoded.
+     */
+    createCaptureTarget(width, height) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+
+        return {
+            width,
+            height,
+            texture,
+            framebuffer: this.createFramebuffer(texture),
+            pixels: new Uint8Array(width * height * 4),
+            image: context.createImageData(width, height),
+            canvas,
+            context
+        };
+    }
+
+    // Copy the rendered frame into the capture canvas, flipping it upright
+    readCaptureTarget() {
+        const gl = this.gl;
+        const { width, height, pixels, image, framebuffer } = this.renderTarget;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        const rowBytes = width * 4;
+        for (let y = 0; y < height; y++) {
+            image.data.set(pixels.subarray(y * rowBytes, (y + 1) * rowBytes), (height - 1 - y) * rowBytes);
+        }
+        // The visible canvas has no alpha channel, so neither do captures
+        for (let i = 3; i < image.data.length; i += 4) image.data[i] = 255;
+        this.renderTarget.context.putImageData(image, 0, 0);
+    }
+
+    deleteCaptureTarget() {
+        if (!this.renderTarget) return;
+        this.gl.deleteFramebuffer(this.renderTarget.framebuffer);
+        this.gl.deleteTexture(this.renderTarget.texture);
+        this.renderTarget = null;
+    }
+
+    recordWebM(frames, fps, renderCaptureFrame, bitrate = 16e6) {
+        const stream = this.renderTarget.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+        const chunks = [];
+
+        return new Promise((resolve, reject) => {
+            recorder.ondataavailable = (event) => {
+                if (event.data.size) chunks.push(event.data);
+            };
+            recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+            recorder.onerror = (event) => reject(event.error);
+            recorder.start();
+
+            let index = 0;
+            const step = () => {
+                if (index >= frames) {
+                    track.stop();
+                    recorder.stop();
+                    return;
+                }
+                renderCaptureFrame(index++);
+                track.requestFrame();
+                setTimeout(step, 1000 / fps);
+            };
+            step();
+        });
+    }
+
+    /**
+     * Per-pass timing for the HUD: GPU time through
+     * EXT_disjoint_timer_query_webgl2 when available, otherwise CPU time
+     * around each pass with a gl.finish(), which stalls the pipeline and
+     * overstates the cost but still ranks the passes.
+     */
+    setupPassTiming() {
+        this.timerExt = this.isWebGL1 ? null : this.gl.getExtension('EXT_disjoint_timer_query_webgl2');
+        this.pendingQueries = []; // Queries from a lost context are dead
+        this.activeQuery = null;
+    }
+
+    beginPassTiming() {
+        if (!this.hud) return;
+        if (!this.timerExt) {
+            this.passStart = performance.now();
+            return;
+        }
+        // Results lag a few frames; stop issuing if they pile up
+        if (this.pendingQueries.length > this.passes.length * 8) return;
+        this.activeQuery = this.gl.createQuery();
+        this.gl.beginQuery(this.timerExt.TIME_ELAPSED_EXT, this.activeQuery);
+    }
+
+    endPassTiming(name) {
+        if (!this.hud) return;
+        if (!this.timerExt) {
+            this.gl.finish();
+            this.stats.recordPass(name, performance.now() - this.passStart);
+            return;
+        }
+        if (!this.activeQuery) return;
+        this.gl.endQuery(this.timerExt.TIME_ELAPSED_EXT);
+        this.pendingQueries.push({ name, query: this.activeQuery });
+        this.activeQuery = null;
+    }
 
-            if (progress >= 1) {
-                clearInterval(interval);
-                this.complete();
+    collectPassTimings() {
+        if (!this.timerExt) return;
+        const gl = this.gl;
+        // A disjoint event (e.g. GPU frequency change) invalidates pending results
+        const disjoint = gl.getParameter(this.timerExt.GPU_DISJOINT_EXT);
+
+        while (this.pendingQueries.length) {
+            const { name, query } = this.pendingQueries[0];
+            if (!disjoint && !gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break;
+            if (!disjoint) {
+                this.stats.recordPass(name, gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6);
             }
-        }, 16);
+            gl.deleteQuery(query);
+            this.pendingQueries.shift();
+        }
+    }
+
+    createHUD() {
+        this.hudElement = document.createElement('div');
+        this.hudElement.id = 'shader-hud';
+        this.hudElement.setAttribute('aria-hidden', 'true');
+        this.hudText = document.createElement('pre');
+        this.hudGraph = document.createElement('canvas');
+        this.hudGraph.width = this.stats.frameTimes.length;
+        this.hudGraph.height = 60;
+        this.hudElement.append(this.hudText, this.hudGraph);
+        document.body.appendChild(this.hudElement);
+    }
+
+    /**
+     * Refresh the HUD a few times a second: FPS, frame-time histogram
+     * (guides at 60 and 30 fps), canvas and framebuffer sizes, pass times.
+     */
+    updateHUD(now) {
+        if (!this.hudElement || now - this.hudUpdatedAt < 250) return;
+        this.hudUpdatedAt = now;
+
+        const summary = this.stats.getSummary();
+        const fps = summary.frameTime.p50 ? 1000 / summary.frameTime.p50 : 0;
+        const lines = [
+            `${fps.toFixed(1).padStart(5)} fps  ${summary.frameTime.p50.toFixed(1)} ms (p95 ${summary.frameTime.p95.toFixed(1)})`,
+            `canvas ${this.canvas.width}x${this.canvas.height} @${this.pixelRatio.toFixed(2)}x  ${SHADER_QUALITY.tiers[this.qualityTier].name}`
+        ];
+        this.passes.forEach(pass => {
+            const { width, height } = this.getPassSize(pass);
+            const storage = pass.output === 'screen' ? 'screen' : (pass.float && this.supportsFloatBuffers ? 'f16' : 'rgba8');
+            const buffers = pass.feedback ? ' x2' : '';
+            const time = this.stats.passTimes[pass.name];
+            lines.push(`${pass.name.padEnd(8)} ${`${width}x${height}`.padEnd(10)} ${(storage + buffers).padEnd(8)} ${time === undefined ? '   -' : time.toFixed(2).padStart(5)} ms`);
+        });
+        lines.push(`timing: ${this.timerExt ? 'gpu' : 'cpu (gl.finish)'}`);
+        this.hudText.textContent = lines.join('\n');
+
+        const ctx = this.hudGraph.getContext('2d');
+        const { width, height } = this.hudGraph;
+        const scale = height / 50; // 50 ms full height
+        ctx.clearRect(0, 0, width, height);
+        this.stats.getRecentFrameTimes().forEach((ms, x) => {
+            ctx.fillStyle = ms < 17.5 ? '#4caf50' : ms < 34 ? '#F5A623' : '#ff4d4d';
+            const barHeight = Math.min(height, ms * scale);
+            ctx.fillRect(x, height - barHeight, 1, barHeight);
+        });
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        [1000 / 60, 1000 / 30].forEach(ms => ctx.fillRect(0, height - Math.round(ms * scale), width, 1));
     }
 
-    handleTransition(progress) {
-        // Background fades first (0-60%)
-        const bgFade = Math.min(progress / 0.6, 1);
-        this.canvas.style.opacity = 1 - bgFade;
+    /**
+     * Device and timing summary for comparing machines; logged on complete().
+     */
+    getPerformanceSummary() {
+        const gl = this.gl;
+        const rendererInfo = gl.getExtension('WEBGL_debug_renderer_info');
+        return {
+            renderer: gl.getParameter(rendererInfo ? rendererInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER),
+            webgl: this.isWebGL1 ? 1 : 2,
+            quality: SHADER_QUALITY.tiers[this.qualityTier].name,
+            canvas: { width: this.canvas.width, height: this.canvas.height, pixelRatio: this.pixelRatio },
+            passTiming: this.hud ? (this.timerExt ? 'gpu' : 'cpu') : 'off',
+            ...this.stats.getSummary()
+        };
+    }
+
+    scheduleTransition() {
+        const elapsed = performance.now() - this.startTime;
+
+        this.transitionTimer = setTimeout(() => {
+            this.minDurationElapsed = true;
+            this.checkReady();
+        }, Math.max(0, this.minDuration - elapsed));
 
-        // Logo fades after (40-100%)
-        if (progress > 0.4) {
-            const logoFade = (progress - 0.4) / 0.6;
-            const logoOpacity = 1 - logoFade;
-            const glitchOffset = Math.sin(logoFade * Math.PI * 4) * logoFade * 10;
-            this.logoOverlay.style.opacity = logoOpacity;
-            this.logoOverlay.style.transform = `translate(calc(-50% + ${glitchOffset}px), calc(-50% + ${this.logoOffsetY}px)) scale(${1 + logoFade * 0.2})`;
-            this.logoOverlay.style.filter = `blur(${logoFade * 5}px)`;
+        this.maxDurationTimer = setTimeout(() => {
+            console.warn('[ShaderLoader] Max duration reached before page was ready');
+            this.startTransition();
+        }, Math.max(0, this.maxDuration - elapsed));
+    }
+
+    startTransition() {
+        if (this.isTransitioning || this.isCapturing) return;
+        this.isTransitioning = true;
+        clearTimeout(this.transitionTimer);
+        clearTimeout(this.maxDurationTimer);
+        this.markIntroSeen();
+
+        if (this.skipButton) {
+            this.skipButton.disabled = true;
+            this.skipButton.style.opacity = '0';
         }
+
+        console.log('[ShaderLoader] Starting transition');
+        this.timeline.play('outro', () => this.complete());
     }
 
     fallbackToCSS() {
+        // The hero already has its CSS glow, so just drop the ambient canvas
+        if (this.isAmbient) {
+            console.log('[ShaderLoader] Ambient background lost, removing');
+            this.destroy();
+            return;
+        }
+
         console.log('[ShaderLoader] Using CSS fallback');
         this.hasError = true;
+        this.stopRenderLoop();
+        // No shader to dissolve in, so the outro falls back to the opacity fade
+        if (this.timeline) this.timeline.phases = this.getTimelinePhases();
+        this.startTimelineDriver();
 
         // Animated gradient fallback
-        this.canvas.style.background = '#000';
+        this.canvas.style.background = 'var(--shader-background)';
         this.canvas.style.opacity = '1';
 
         const pattern = document.createElement('div');
@@ -1271,8 +2398,8 @@ void mainImage( out vec4 rgba, in vec2 xy )
             width: 100%;
             height: 100%;
             background: 
-                radial-gradient(circle at 30% 30%, rgba(245, 166, 35, 0.4) 0%, transparent 50%),
-                radial-gradient(circle at 70% 70%, rgba(245, 166, 35, 0.3) 0%, transparent 50%);
+                radial-gradient(circle at 30% 30%, color-mix(in srgb, var(--shader-accent) 40%, transparent) 0%, transparent 50%),
+                radial-gradient(circle at 70% 70%, color-mix(in srgb, var(--shader-accent) 30%, transparent) 0%, transparent 50%);
             animation: shaderPulse 4s ease-in-out infinite;
         `;
         this.canvas.appendChild(pattern);
@@ -1286,40 +2413,124 @@ void mainImage( out vec4 rgba, in vec2 xy )
         `;
         document.head.appendChild(style);
 
-        setTimeout(() => this.startTransition(), this.transitionStart);
+        // Context loss can land here after the transition was already scheduled
+        if (!this.transitionTimer) {
+            this.scheduleTransition();
+        }
     }
 
     complete() {
         console.log('[ShaderLoader] Complete');
-        this.isRunning = false;
+        if (this.gl && !this.contextLost && this.stats.frames) {
+            console.log('[ShaderLoader] Performance summary', this.getPerformanceSummary());
+        }
+        const ambientElement = this.getAmbientElement();
+        if (!ambientElement) this.isRunning = false;
         document.body.classList.remove('shader-loading');
         // Restore scrolling
         this.unlockScroll();
 
         // Cleanup event listeners
+        if (!ambientElement) this.removeCanvas();
+        clearTimeout(this.transitionTimer);
+        clearTimeout(this.maxDurationTimer);
+        clearTimeout(this.contextRestoreTimer);
+        if (this.timelineDriver) {
+            this.timelineDriver.remove();
+            this.timelineDriver = null;
+        }
+        document.removeEventListener('keydown', this.boundHandleKeydown);
+
+        if (this.logoOverlay && this.logoOverlay.parentNode) {
+            this.logoOverlay.parentNode.removeChild(this.logoOverlay);
+        }
+        if (this.skipButton && this.skipButton.parentNode) {
+            this.skipButton.parentNode.removeChild(this.skipButton);
+        }
+
+        if (ambientElement) this.enterAmbientMode(ambientElement);
+
+        if (this.onComplete) this.onComplete();
+        window.dispatchEvent(new CustomEvent('shaderLoaderComplete'));
+    }
+
+    /**
+     * Element the ambient background should move into after the intro, or
+     * null when the pipeline should be torn down instead (ambient off,
+     * WebGL never came up or never started rendering, or the visitor
+     * prefers reduced motion).
+     */
+    getAmbientElement() {
+        if (!this.ambient || !this.renderLoop || this.hasError || this.contextLost) return null;
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return null;
+        return document.querySelector(this.ambientTarget);
+    }
+
+    /**
+     * Hand the canvas over from the fullscreen intro to a low-resolution
+     * background inside the ambient element. The outro has already faded
+     * the canvas out, so it fades back in at its new place. Rendering
+     * pauses while the element is off-screen or the device saves power.
+     */
+    enterAmbientMode(element) {
+        this.isAmbient = true;
+        this.ambientElement = element;
+        this.displayProgress = 0; // Hide the loading bar
+        this.timelineUniforms = {};
+
+        // Positioning lives in style.css (#shader-loader.shader-ambient)
+        this.canvas.classList.add('shader-ambient');
+        this.canvas.style.cssText = 'opacity: 0;';
+        element.classList.add('has-shader-ambient');
+        element.prepend(this.canvas);
+        this.handleResize();
+        requestAnimationFrame(() => {
+            if (this.canvas) this.canvas.style.opacity = '1';
+        });
+
+        this.renderLoop.setEssential(false);
+        this.renderLoop.observe(element);
+
+        console.log('[ShaderLoader] Ambient background:', this.canvas.width, 'x', this.canvas.height);
+    }
+
+    removeCanvas() {
         window.removeEventListener('resize', this.handleResize);
         window.removeEventListener('orientationchange', this.handleResize);
         if (window.visualViewport) {
             window.visualViewport.removeEventListener('resize', this.handleResize);
         }
         clearTimeout(this.resizeTimeout);
+        this.stopLiveReload();
+        this.detachInteractionListeners();
+        if (this.renderLoop) {
+            this.renderLoop.remove();
+            this.renderLoop = null;
+        }
 
+        if (this.ambientElement) {
+            this.ambientElement.classList.remove('has-shader-ambient');
+        }
         if (this.canvas && this.canvas.parentNode) {
             this.canvas.parentNode.removeChild(this.canvas);
         }
-        if (this.logoOverlay && this.logoOverlay.parentNode) {
-            this.logoOverlay.parentNode.removeChild(this.logoOverlay);
+        if (this.tweakPanel) {
+            this.tweakPanel.remove();
+            this.tweakPanel = null;
         }
-        if (this.skipButton && this.skipButton.parentNode) {
-            this.skipButton.parentNode.removeChild(this.skipButton);
+        if (this.themeObserver) {
+            this.themeObserver.disconnect();
+            this.themeObserver = null;
+        }
+        if (this.hudElement) {
+            this.hudElement.remove();
+            this.hudElement = null;
         }
-
-        if (this.onComplete) this.onComplete();
-        window.dispatchEvent(new CustomEvent('shaderLoaderComplete'));
     }
 
     destroy() {
         this.isRunning = false;
+        this.stopRenderLoop();
         const gl = this.gl;
 
         if (gl) {
@@ -1331,21 +2542,163 @@ void mainImage( out vec4 rgba, in vec2 xy )
             if (this.buffer) gl.deleteBuffer(this.buffer);
         }
 
-        if (this.canvas && this.canvas.parentNode) {
-            this.canvas.parentNode.removeChild(this.canvas);
-        }
+        this.removeCanvas();
         if (this.logoOverlay && this.logoOverlay.parentNode) {
             this.logoOverlay.parentNode.removeChild(this.logoOverlay);
         }
     }
+
+    /**
+     * Map a Shadertoy JSON export onto a pass graph. Buffer passes run in
+     * name order before Image, are double-buffered and float like on
+     * Shadertoy, and the Common pass replaces the built-in common shader.
+     * Only buffer inputs are supported; other channels are left unbound.
+     */
+    static parseShadertoy(exported) {
+        // Accept the API response ({ Shader }), an export array, or a bare shader
+        let shader = Array.isArray(exported) ? exported[0] : exported;
+        if (shader && shader.Shader) shader = shader.Shader;
+        if (!shader || !Array.isArray(shader.renderpass)) {
+            throw new Error('[ShaderLoader] Not a Shadertoy export');
+        }
+
+        const renderpasses = shader.renderpass;
+        const common = renderpasses.find(p => p.type === 'common');
+        const image = renderpasses.find(p => p.type === 'image');
+        const buffers = renderpasses
+            .filter(p => p.type === 'buffer')
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        if (!image) {
+            throw new Error('[ShaderLoader] Shadertoy export has no Image pass');
+        }
+        renderpasses
+            .filter(p => !['common', 'buffer', 'image'].includes(p.type))
+            .forEach(p => console.warn(`[ShaderLoader] Skipping unsupported Shadertoy pass "${p.name}" (${p.type})`));
+
+        // "Buffer A" -> "bufferA"
+        const passName = p => p.type === 'image'
+            ? 'image'
+            : p.name.replace(/\s+(\w)/g, (m, c) => c.toUpperCase()).replace(/^\w/, c => c.toLowerCase());
+
+        const outputs = {};
+        buffers.forEach(p => (p.outputs || []).forEach(output => {
+            outputs[output.id] = passName(p);
+        }));
+
+        const passes = [...buffers, image].map(p => {
+            const inputs = [];
+            (p.inputs || []).forEach(input => {
+                if (input.ctype === 'buffer' && outputs[input.id]) {
+                    inputs[input.channel] = outputs[input.id];
+                } else {
+                    console.warn(`[ShaderLoader] Unsupported Shadertoy input "${input.ctype}" on ${p.name} iChannel${input.channel}`);
+                }
+            });
+
+            const isBuffer = p.type === 'buffer';
+            return {
+                name: passName(p),
+                source: p.code,
+                inputs: Array.from(inputs, input => input || null),
+                scale: 1,
+                feedback: isBuffer,
+                float: isBuffer,
+                output: isBuffer ? undefined : 'screen'
+            };
+        });
+
+        return { passes, commonSource: common ? common.code : '' };
+    }
+
+    static isDebugEnabled() {
+        return new URLSearchParams(window.location.search).has('debug') ||
+            ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    }
+
+    /**
+     * Capture options from the query string, or null. Example:
+     * ?capture=png&size=1920x1080&fps=30&duration=2&start=1.5
+     */
+    static getCaptureOptions(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const format = params.get('capture');
+        if (!format) return null;
+
+        const options = { format: format === 'webm' ? 'webm' : 'png' };
+        const size = (params.get('size') || '').match(/^(\d+)x(\d+)$/);
+        if (size) {
+            options.width = Number(size[1]);
+            options.height = Number(size[2]);
+        }
+        [['fps', 'fps'], ['duration', 'duration'], ['frames', 'frames'], ['start', 'startTime']].forEach(([param, key]) => {
+            if (params.has(param)) options[key] = Number(params.get(param));
+        });
+        return options;
+    }
+
+    /**
+     * Seeded playback options from the query string:
+     * ?seed=7 (iSeed), ?fixedFps=60 (fixed timestep) and ?frame=120 (hold
+     * that frame; implies fixedFps=60 when not given).
+     */
+    static getPlaybackOptions(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const options = {};
+        const seed = parseInt(params.get('seed'), 10);
+        const fps = Number(params.get('fixedFps'));
+        const frame = parseInt(params.get('frame'), 10);
+
+        if (Number.isFinite(seed)) options.seed = Math.abs(seed) % 2147483648;
+        if (fps > 0) options.fixedTimestep = 1 / fps;
+        if (Number.isFinite(frame) && frame >= 0) {
+            options.holdFrame = frame;
+            options.fixedTimestep = options.fixedTimestep ?? 1 / 60;
+        }
+        return options;
+    }
+
+    /**
+     * Parse any CSS color into 0-1 RGB (alpha ignored), letting a 2D
+     * canvas normalise it to #rrggbb or rgba(). Null for empty values.
+     */
+    static parseColor(value) {
+        if (!value || !value.trim()) return null;
+        const ctx = document.createElement('canvas').getContext('2d');
+        if (!ctx) return null;
+        ctx.fillStyle = value.trim();
+        const normalized = ctx.fillStyle;
+
+        if (normalized[0] === '#') {
+            return [1, 3, 5].map(i => parseInt(normalized.slice(i, i + 2), 16) / 255);
+        }
+        const channels = normalized.match(/[\d.]+/g);
+        return channels ? channels.slice(0, 3).map(c => Number(c) / 255) : null;
+    }
+
+    static downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    static fromShadertoy(exported, options = {}) {
+        return new ShaderLoader({ ...options, shadertoy: exported });
+    }
 }
 
 // Auto-initialize
 let shaderLoader = null;
 
-function initShaderLoader() {
+function initShaderLoader(options = window.shaderLoaderOptions) {
     console.log('[ShaderLoader] initShaderLoader called');
-    shaderLoader = new ShaderLoader();
+    shaderLoader = new ShaderLoader(options);
+    window.shaderLoader = shaderLoader;
     shaderLoader.init();
     return shaderLoader;
 }
@@ -1355,7 +2708,7 @@ window.initShaderLoader = initShaderLoader;
 
 if (!window.disableShaderLoader) {
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initShaderLoader);
+        document.addEventListener('DOMContentLoaded', () => initShaderLoader());
     } else {
         initShaderLoader();
     }
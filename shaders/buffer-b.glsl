@@ -0,0 +1,9 @@
+void mainImage( out vec4 rgba, in vec2 xyScreen )
+{
+    rgba *= 0.;
+    
+    if(kApplyBloom)
+    {    
+        rgba = vec4(SeparableBlurDown(ivec2(xyScreen), ivec2(iResolution.xy), iChannel0), 1.);
+    }
+}
@@ -0,0 +1,77 @@
+float Vignette(in vec2 fragCoord)
+{
+    #ifndef kVignetteStrength
+    #define kVignetteStrength         0.5
+    #endif
+    #ifndef kVignetteScale
+    #define kVignetteScale            0.6
+    #endif
+    #ifndef kVignetteExponent
+    #define kVignetteExponent         3.0
+    #endif
+    
+    vec2 uv = fragCoord / iResolution.xy;
+    uv.x = (uv.x - 0.5) * (iResolution.x / iResolution.y) + 0.5;     
+    
+    float x = 2.0 * (uv.x - 0.5);
+    float y = 2.0 * (uv.y - 0.5);
+    
+    float dist = sqrt(x*x + y*y) / kRoot2;
+    
+    return mix(1.0, max(0.0, 1.0 - pow(dist * kVignetteScale, kVignetteExponent)), kVignetteStrength);
+}
+
+// Outro driven by iTransition (0 to 1), see TRANSITION_STYLES. Dissolve
+// drops the image out in blocks with an accent edge; glitch tears it out
+// row by row with channel-swapped scanlines at the edge
+vec3 ApplyTransition(vec3 rgb, vec2 xy)
+{
+    #ifndef kTransitionStyle
+    #define kTransitionStyle 0
+    #endif
+
+#if kTransitionStyle == 1
+    uvec2 block = uvec2(xy / 8.0);
+    float threshold = HashToFloat(HashOf(block.x, block.y, 5381u)) * 0.9;
+    float gone = smoothstep(threshold, threshold + 0.1, iTransition);
+    float edge = gone * (1.0 - gone) * 4.0;
+    rgb = mix(rgb, kAccent, edge * 0.6);
+    return mix(rgb, iThemeBackground, gone);
+#elif kTransitionStyle == 2
+    uint row = uint(xy.y / 6.0);
+    float threshold = HashToFloat(HashOf(row, 7919u)) * 0.75 +
+                      HashToFloat(HashOf(row, uint(iTime * 30.0))) * 0.15;
+    float gone = step(threshold, iTransition);
+    float tear = step(threshold, iTransition + 0.05) - gone;
+    rgb = mix(rgb, rgb.brg * 1.5, tear);
+    return mix(rgb, iThemeBackground, gone);
+#else
+    return rgb;
+#endif
+}
+
+void mainImage( out vec4 rgba, in vec2 xy )
+{
+    SetGlobals(xy, iResolution.xy, iTime); 
+    PCGInitialise(HashOf(uint(iFrame)));
+    
+    vec3 rgb = kZero;
+    
+    if(kApplyBloom) { rgb = SeparableBlurUp(ivec2(xy), ivec2(iResolution.xy), iChannel0); }
+
+    rgb += texelFetch(iChannel1, ivec2(xy) / kScreenDownsample, 0).xyz * 0.6;     
+    rgb = saturate(rgb);
+    rgb = pow(rgb, vec3(0.8));
+    rgb = mix(iThemeBackground, iThemeForeground, rgb);
+    rgb *= Vignette(xy);
+    
+    // Loading bar along the bottom edge
+    float bar = step(xy.x, iResolution.x * iProgress) * step(xy.y, 2.0);
+    rgb = mix(rgb, kAccent, bar * 0.6);
+    rgb = ApplyTransition(rgb, xy);
+    
+    rgb = saturate(rgb);
+    
+    rgba.xyz = rgb;    
+    rgba.w = 1.0;
+}
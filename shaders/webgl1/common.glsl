@@ -0,0 +1,81 @@
+#define kPi                    3.14159265359
+#define kTwoPi                 (2.0 * kPi)
+#define kRoot2                 1.41421356237
+#define kOne                   vec3(1.0)
+#define kZero                  vec3(0.0)
+#define kAccent                iThemeAccent
+#define kHexRatio              vec2(1.5, 0.8660254037844387)
+
+float sqr(float a)             { return a * a; }
+float sin01(float a)           { return 0.5 * sin(a) + 0.5; }
+float saturate(float a)        { return clamp(a, 0.0, 1.0); }
+vec3 saturate(vec3 a)          { return clamp(a, 0.0, 1.0); }
+float cwiseMax(vec3 v)         { return max(v.x, max(v.y, v.z)); }
+
+float Hash(vec2 p)
+{
+    p += vec2(mod(float(iSeed), 1024.0) * 0.618034);
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+float SmoothStep(float x)      { return x * x * (3.0 - 2.0 * x); }
+
+float PaddedSmoothStep(float x, float a, float b)
+{ 
+    return SmoothStep(saturate(x * (a + b + 1.0) - a));
+}
+
+vec2 TransformScreenToWorld(vec2 p)
+{   
+    return (p - iResolution.xy * 0.5) / iResolution.y; 
+}
+
+// Visitor input: a lens that follows the pointer and is dragged along its
+// velocity, a ring expanding from the last click/tap and a tilt parallax.
+// Scaled by iInteraction, which is 0 with prefers-reduced-motion.
+vec2 ApplyInteraction(vec2 uvView)
+{
+    vec2 toPointer = uvView - TransformScreenToWorld(iPointer.xy);
+    float lens = exp(-dot(toPointer, toPointer) * 20.0);
+    vec2 offset = -(toPointer * 0.3 + iPointer.zw / iResolution.y * 0.02) * lens;
+
+    vec2 toImpulse = uvView - TransformScreenToWorld(iImpulse.xy);
+    float radius = (1.0 - iImpulse.z) * 1.5;
+    float ring = exp(-sqr((length(toImpulse) - radius) * 12.0)) * iImpulse.z;
+    offset += toImpulse / max(length(toImpulse), 1e-4) * ring * 0.05;
+
+    offset += iTilt * 0.1;
+    return uvView + offset * iInteraction;
+}
+
+vec3 Cartesian2DToBarycentric(vec2 p)
+{    
+    return vec3(p, 0.0) * mat3(vec3(0.0, 1.0 / 0.8660254037844387, 0.0),
+                          vec3(1.0, 0.5773502691896257, 0.0),
+                          vec3(-1.0, 0.5773502691896257, 0.0));    
+}
+
+vec2 Cartesian2DToHexagonalTiling(in vec2 uv, out vec3 bary, out vec2 ij)
+{    
+    vec2 uvClip = mod(uv + kHexRatio, 2.0 * kHexRatio) - kHexRatio;
+    ij = floor((uv + kHexRatio) / (2.0 * kHexRatio)) * 2.0;
+    
+    bary = Cartesian2DToBarycentric(uvClip);
+    if(bary.x > 0.0)
+    {
+        if(bary.z > 1.0) { bary += vec3(-1.0, 1.0, -2.0); ij += vec2(-1.0, 1.0); }
+        else if(bary.y > 1.0) { bary += vec3(-1.0, -2.0, 1.0); ij += vec2(1.0, 1.0); }
+    }
+    else
+    {
+        if(bary.y < -1.0) { bary += vec3(1.0, 2.0, -1.0); ij += vec2(-1.0, -1.0); }
+        else if(bary.z < -1.0) { bary += vec3(1.0, -1.0, 2.0); ij += vec2(1.0, -1.0); }
+    }
+
+    return vec2(bary.y * 0.5773502691896257 - bary.z * 0.5773502691896257, bary.x);
+}
+
+vec3 Spectrum(float delta)
+{
+    return saturate(0.5 + 0.5 * cos(kTwoPi * (delta + vec3(0.0, 0.33, 0.67))));
+}
@@ -0,0 +1,121 @@
+#ifndef kAntiAlias
+#define kAntiAlias 2
+#endif
+#ifndef kSpeed
+#define kSpeed          0.15
+#endif
+#ifndef kTurns
+#define kTurns          7
+#endif
+#ifndef kNumRipples
+#define kNumRipples     5
+#endif
+
+vec3 Render(vec2 uvScreen, float time)
+{
+    float phase = fract(time);
+    float interval = mod(floor(time), 2.0);
+    float warpedTime = fract(phase - 0.2 * sqrt(uvScreen.y / iResolution.y) - 0.1);
+    float morph = 1.0 - PaddedSmoothStep(sin01(kTwoPi * warpedTime), 0.0, 0.4);
+    float blend = interval * 0.5;
+    float beta = abs(2.0 * blend - 1.0);
+
+    // Responsive zoom: on narrow/mobile screens (aspect < 1), zoom out more
+    float zoom = iResolution.x / iResolution.y < 1.0 ? 0.25 : 0.35;
+    float rot = blend * kTwoPi;
+    vec2 uvView = mat2(cos(rot), -sin(rot), sin(rot), cos(rot)) * ApplyInteraction(TransformScreenToWorld(uvScreen)) / zoom;
+
+    float invert = 0.0;
+    vec3 bary;
+    vec2 ij;
+    float subdiv = 1.0 + floor(sin01(kTwoPi * phase) * 3.0);
+    Cartesian2DToHexagonalTiling(uvView * subdiv, bary, ij);
+    if(Hash(ij + floor(phase * 6.0)) < 0.5 && cwiseMax(abs(bary)) > 0.9) { invert = 1.0; }
+
+    float sigma = 0.0, sigmaWeight = 0.0;
+    for(int j = 0; j < kTurns; ++j)
+    {
+        float theta = kTwoPi * float(j) / float(kTurns);
+        float l = length(uvView - vec2(cos(theta), sin(theta))) * 0.5;
+        float weight = log2(1.0 / (l + 1e-10));
+        for(int i = 0; i < kNumRipples; ++i)
+        {
+            float ripple = fract((float(j) + float(i) * float(kTurns) / float(kNumRipples)) / float(kTurns) + warpedTime);
+            sigma += fract(l - pow(ripple, mix(0.05, 0.55, morph))) * weight;
+            sigmaWeight += weight;
+        }
+    }
+    if((sigma / sigmaWeight) > mix(0.5, 0.4, morph)) { invert = 1.0 - invert; }
+
+    vec3 s = vec3(invert);
+    return mix(1.0 - s, s * mix(kOne, Spectrum(phase), sqr(beta)), beta);
+}
+
+float Vignette(in vec2 fragCoord)
+{
+    #ifndef kVignetteStrength
+    #define kVignetteStrength         0.5
+    #endif
+    #ifndef kVignetteScale
+    #define kVignetteScale            0.6
+    #endif
+    #ifndef kVignetteExponent
+    #define kVignetteExponent         3.0
+    #endif
+
+    vec2 uv = fragCoord / iResolution.xy;
+    uv.x = (uv.x - 0.5) * (iResolution.x / iResolution.y) + 0.5;     
+    float dist = length(2.0 * (uv - 0.5)) / kRoot2;
+    return mix(1.0, max(0.0, 1.0 - pow(dist * kVignetteScale, kVignetteExponent)), kVignetteStrength);
+}
+
+// Outro driven by iTransition (0 to 1), see TRANSITION_STYLES
+vec3 ApplyTransition(vec3 rgb, vec2 xy)
+{
+    #ifndef kTransitionStyle
+    #define kTransitionStyle 0
+    #endif
+
+#if kTransitionStyle == 1
+    float threshold = Hash(floor(xy / 8.0) + 5381.0) * 0.9;
+    float gone = smoothstep(threshold, threshold + 0.1, iTransition);
+    float edge = gone * (1.0 - gone) * 4.0;
+    rgb = mix(rgb, kAccent, edge * 0.6);
+    return mix(rgb, iThemeBackground, gone);
+#elif kTransitionStyle == 2
+    float row = floor(xy.y / 6.0);
+    float threshold = Hash(vec2(row, 7919.0)) * 0.75 + Hash(vec2(row, floor(iTime * 30.0))) * 0.15;
+    float gone = step(threshold, iTransition);
+    float tear = step(threshold, iTransition + 0.05) - gone;
+    rgb = mix(rgb, rgb.brg * 1.5, tear);
+    return mix(rgb, iThemeBackground, gone);
+#else
+    return rgb;
+#endif
+}
+
+void mainImage( out vec4 rgba, in vec2 xy )
+{
+    float time = iTime * kSpeed;
+
+    vec3 rgb = kZero;
+    for(int i = 0; i < kAntiAlias; ++i)
+    {
+        for(int j = 0; j < kAntiAlias; ++j)
+        {
+            rgb += Render(xy + vec2(float(i), float(j)) / float(kAntiAlias), time);
+        }
+    }
+    rgb /= float(kAntiAlias * kAntiAlias);
+
+    rgb = pow(saturate(rgb), vec3(0.8));
+    rgb = mix(iThemeBackground, iThemeForeground, rgb);
+    rgb *= Vignette(xy);
+
+    // Loading bar along the bottom edge
+    float bar = step(xy.x, iResolution.x * iProgress) * step(xy.y, 2.0);
+    rgb = mix(rgb, kAccent, bar * 0.6);
+    rgb = ApplyTransition(rgb, xy);
+
+    rgba = vec4(saturate(rgb), 1.0);
+}